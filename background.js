@@ -1,13 +1,22 @@
 const MAX_MESSAGES = 1000;
+const MAX_NAVIGATIONS = 1000;
 const MIN_BASE64_LENGTH = 16;
 const XML_DETECTION_PREVIEW_LENGTH = 400;
 const LOG_PREFIX = '[SAMLView]';
+const MAX_RESPONSE_SCAN_BYTES = 2 * 1024 * 1024;
+const PERSIST_DELAY_MS = 1000;
+
+// Messages observed in responses (auto-post forms, Location headers) before the browser sends them
+const RESPONSE_SIDE_TRANSPORTS = ['HTML-FORM(res)', 'REDIRECT(res)'];
 
 // Per-window sessions: Map<windowId, SessionState>
 const sessions = new Map();
 let tabListeners = null; // Shared tab listeners for all sessions
 let pendingTargetTab = null; // Target tab for next window
 
+// Replays opened from a tracer window: Map<tabId, { windowId, sourceId, method, url, fields }>
+const pendingReplays = new Map();
+
 // SessionState structure:
 // {
 //   windowId: number,
@@ -16,7 +25,16 @@ let pendingTargetTab = null; // Target tab for next window
 //   messages: Array,
 //   nextMessageId: number,
 //   seenKeys: Set<string>,
-//   requestIdToMessageId: Map<string, number>
+//   requestIdToMessageId: Map<string, number>,
+//   captureId: number|null,      // Library record, created on first persist
+//   createdAt: string,
+//   rootTabTitle: string|null,
+//   rootTabUrl: string|null,
+//   recordNavigations: boolean,  // Redirect chain mode: keep every top-level navigation
+//   navigations: Array,
+//   nextNavigationId: number,
+//   openNavigations: Map<string, navigation>,  // requestId -> hop still waiting for its response
+//   requestStarts: Map<string, number>  // requestId -> start timestamp of requests in flight
 // }
 
 function createSession(windowId, rootTabId) {
@@ -27,7 +45,18 @@ function createSession(windowId, rootTabId) {
     messages: [],
     nextMessageId: 1,
     seenKeys: new Set(),
-    requestIdToMessageId: new Map()
+    requestIdToMessageId: new Map(),
+    captureId: null,
+    createdAt: new Date().toISOString(),
+    rootTabTitle: null,
+    rootTabUrl: null,
+    recordNavigations: false,
+    navigations: [],
+    nextNavigationId: 1,
+    openNavigations: new Map(),
+    requestStarts: new Map(),
+    persistTimer: null,
+    persistChain: Promise.resolve()
   };
 }
 
@@ -57,6 +86,7 @@ function onTabCreated(tab) {
 }
 
 function onTabRemoved(tabId) {
+  pendingReplays.delete(tabId);
   const session = getSessionByTabId(tabId);
   if (session) {
     session.trackedTabIds.delete(tabId);
@@ -64,9 +94,10 @@ function onTabRemoved(tabId) {
   }
 }
 
-async function startCapture(windowId, rootTabId) {
+async function startCapture(windowId, rootTabId, recordNavigations = false) {
   const session = createSession(windowId, rootTabId);
   session.isCapturing = true; // Mark session as actively capturing
+  session.recordNavigations = recordNavigations;
   sessions.set(windowId, session);
 
   // Add shared listeners only once
@@ -81,6 +112,8 @@ async function startCapture(windowId, rootTabId) {
 }
 
 function stopCapture(windowId) {
+  const session = sessions.get(windowId);
+  if (session && session.persistTimer) persistSession(session);
   sessions.delete(windowId);
 
   // Remove listeners if no sessions remain
@@ -120,42 +153,6 @@ function looksLikeXML(text) {
   return t.startsWith('<') || t.startsWith('<?xml');
 }
 
-async function maybeInflateDeflateRaw(bytes) {
-  if (typeof DecompressionStream === 'undefined') {
-    console.warn(`${LOG_PREFIX} DecompressionStream not available, cannot inflate deflate-raw data`);
-    return bytes;
-  }
-  try {
-    const stream = new DecompressionStream('deflate-raw');
-    const ds = new Response(new Blob([bytes]).stream().pipeThrough(stream));
-    const inflated = new Uint8Array(await ds.arrayBuffer());
-    return inflated;
-  } catch (e) {
-    console.warn(`${LOG_PREFIX} Deflate inflation failed:`, e);
-    return bytes; // fallback if inflate fails
-  }
-}
-
-function bytesToUtf8(bytes) {
-  try {
-    return new TextDecoder('utf-8', { fatal: false }).decode(bytes);
-  } catch (e) {
-    console.error(`${LOG_PREFIX} UTF-8 decode failed:`, e);
-    return null;
-  }
-}
-
-async function decodeSAML(b64, tryInflate) {
-  const raw = b64ToBytes(b64);
-  if (!raw) return null;
-  let data = raw;
-  if (tryInflate) {
-    data = await maybeInflateDeflateRaw(raw);
-  }
-  const text = bytesToUtf8(data);
-  return text || null;
-}
-
 function decodeRawBody(details) {
   try {
     const rb = details.requestBody && details.requestBody.raw;
@@ -202,19 +199,6 @@ function makeArtifactXML(artifact) {
   return `<!-- SAMLArtifact: ${safe} (Note: Full assertion not available via Artifact binding) -->`;
 }
 
-function extractFromQuery(url) {
-  try {
-    const u = new URL(url);
-    const q = u.searchParams;
-    if (q.has('SAMLResponse')) return { name: 'SAMLResponse', value: q.get('SAMLResponse'), transport: 'GET' };
-    if (q.has('SAMLRequest')) return { name: 'SAMLRequest', value: q.get('SAMLRequest'), transport: 'GET' };
-    if (q.has('SAMLart')) return { name: 'SAMLArtifact', value: q.get('SAMLart'), transport: 'GET' };
-  } catch (error) {
-    console.error(`${LOG_PREFIX} URL parse failed:`, error);
-  }
-  return null;
-}
-
 function extractFromBody(details) {
   const fd = details.requestBody && details.requestBody.formData;
   if (fd) {
@@ -365,6 +349,7 @@ async function handlePossibleSAML(details) {
       base64: found.value,
       encoding: tryInflate ? 'deflate-raw' : 'base64',
       relayState,
+      redirectSignature: found.redirectSignature || null,
       method: details.method,
       requestHeaders,
       requestId: details.requestId
@@ -375,6 +360,86 @@ async function handlePossibleSAML(details) {
   }
 }
 
+// The root tab title is refreshed on every save so the library shows where the flow ended up
+async function refreshRootTabInfo(session) {
+  if (session.rootTabId < 0) return;
+  try {
+    const tab = await browser.tabs.get(session.rootTabId);
+    if (tab.title) session.rootTabTitle = tab.title;
+    if (tab.url) session.rootTabUrl = tab.url;
+  } catch (_) {
+    // Tab already closed; keep the last known title
+  }
+}
+
+function schedulePersist(session) {
+  clearTimeout(session.persistTimer);
+  session.persistTimer = setTimeout(() => persistSession(session), PERSIST_DELAY_MS);
+}
+
+// Writes are chained per session so the library record is only created once. The save reads the
+// session when it runs unless given a snapshot of its messages and navigations.
+function persistSession(session, snapshot = null) {
+  clearTimeout(session.persistTimer);
+  session.persistTimer = null;
+  session.persistChain = session.persistChain.then(async () => {
+    const { messages, navigations } = snapshot || session;
+    if (!messages.length) return;
+    await refreshRootTabInfo(session);
+    session.captureId = await saveCapture({
+      id: session.captureId,
+      createdAt: session.createdAt,
+      rootTabTitle: session.rootTabTitle,
+      rootTabUrl: session.rootTabUrl,
+      navigations
+    }, messages);
+  }).catch(error => {
+    console.error(`${LOG_PREFIX} [Window ${session.windowId}] Failed to persist capture:`, error);
+  });
+  return session.persistChain;
+}
+
+// Replace the window's session with a stored capture (not capturing; new messages extend the capture)
+async function openStoredCapture(windowId, captureId) {
+  const stored = await loadCapture(captureId);
+  if (!stored) throw new Error(`Capture ${captureId} not found`);
+
+  if (sessions.has(windowId)) stopCapture(windowId);
+  const session = createSession(windowId, -1);
+  session.trackedTabIds.clear();
+  session.isCapturing = false;
+  session.captureId = stored.capture.id;
+  session.createdAt = stored.capture.createdAt;
+  session.rootTabTitle = stored.capture.rootTabTitle || null;
+  session.rootTabUrl = stored.capture.rootTabUrl || null;
+  for (const m of stored.messages) {
+    session.messages.push(m);
+    session.seenKeys.add(makeDedupKey(m.kind, m.xml, m.transport));
+    session.nextMessageId = Math.max(session.nextMessageId, m.id + 1);
+  }
+  for (const hop of stored.capture.navigations || []) {
+    session.navigations.push(hop);
+    session.nextNavigationId = Math.max(session.nextNavigationId, hop.id + 1);
+  }
+  sessions.set(windowId, session);
+  console.log(`${LOG_PREFIX} [Window ${windowId}] Opened stored capture ${captureId} (${stored.messages.length} messages)`);
+  notifyUpdate(windowId);
+  return { opened: stored.messages.length };
+}
+
+// The tab is tracked before it loads replay.html, which then sends the request
+async function startReplay(windowId, sourceId, request) {
+  const session = getSessionByWindowId(windowId);
+  if (!session) throw new Error('No capture session for this window');
+  const tabWindowId = session.rootTabId >= 0 ? await browser.tabs.get(session.rootTabId).then(t => t.windowId, () => undefined) : undefined;
+  const tab = await browser.tabs.create({ url: 'about:blank', windowId: tabWindowId, active: true });
+  session.trackedTabIds.add(tab.id);
+  pendingReplays.set(tab.id, { windowId, sourceId, method: request.method, url: request.url, fields: request.fields || [] });
+  await browser.tabs.update(tab.id, { url: browser.runtime.getURL('replay.html') });
+  console.log(`${LOG_PREFIX} [Window ${windowId}] Replaying message ${sourceId} in tab ${tab.id}`);
+  return { tabId: tab.id };
+}
+
 function notifyUpdate(windowId) {
   const session = sessions.get(windowId);
   if (session) {
@@ -390,18 +455,37 @@ function notifyUpdate(windowId) {
   }
 }
 
-function makeDedupKey(kind, xml) {
-  return `${kind}|${xml}`;
+// Response-side observations are keyed separately so the request that actually
+// carries the same message is still recorded (and linked) when the browser sends it
+function makeDedupKey(kind, xml, transport) {
+  return RESPONSE_SIDE_TRANSPORTS.includes(transport) ? `${kind}|res|${xml}` : `${kind}|${xml}`;
+}
+
+function linkDeliveredMessage(session, entry) {
+  if (RESPONSE_SIDE_TRANSPORTS.includes(entry.transport)) return;
+  for (const m of session.messages) {
+    if (RESPONSE_SIDE_TRANSPORTS.includes(m.transport) && !m.deliveredMessageId && m.kind === entry.kind && m.xml === entry.xml) {
+      m.deliveredMessageId = entry.id;
+    }
+  }
 }
 
 function addMessage(session, entry) {
-  const key = makeDedupKey(entry.kind, entry.xml);
-  if (session.seenKeys.has(key)) {
+  // The first message a replay tab sends is the replay; it is kept even when identical to its source
+  const replay = pendingReplays.get(entry.tabId);
+  if (replay && replay.windowId === session.windowId && !RESPONSE_SIDE_TRANSPORTS.includes(entry.transport)) {
+    entry.replayOf = replay.sourceId;
+    pendingReplays.delete(entry.tabId);
+  }
+
+  const key = makeDedupKey(entry.kind, entry.xml, entry.transport);
+  if (session.seenKeys.has(key) && !entry.replayOf) {
     console.log(`${LOG_PREFIX} [Window ${session.windowId}] Duplicate message ignored (id: ${entry.id})`);
     return false;
   }
 
   session.seenKeys.add(key);
+  linkDeliveredMessage(session, entry);
   session.messages.push(entry);
 
   // Register requestId mapping for response correlation
@@ -412,7 +496,7 @@ function addMessage(session, entry) {
   // Enforce size limit (LRU eviction)
   if (session.messages.length > MAX_MESSAGES) {
     const removed = session.messages.shift();
-    session.seenKeys.delete(makeDedupKey(removed.kind, removed.xml));
+    session.seenKeys.delete(makeDedupKey(removed.kind, removed.xml, removed.transport));
     if (removed.requestId) {
       session.requestIdToMessageId.delete(removed.requestId);
     }
@@ -420,6 +504,7 @@ function addMessage(session, entry) {
   }
 
   console.log(`${LOG_PREFIX} [Window ${session.windowId}] Added message ${entry.id}: ${entry.kind} via ${entry.transport}`);
+  schedulePersist(session);
   notifyUpdate(session.windowId);
   return true;
 }
@@ -428,6 +513,7 @@ function addMessage(session, entry) {
 browser.webRequest.onBeforeRequest.addListener(
   (details) => {
     try {
+      noteRequestStart(details);
       handlePossibleSAML(details);
     } catch (error) {
       console.error(`${LOG_PREFIX} onBeforeRequest error:`, error, 'URL:', details.url);
@@ -455,6 +541,8 @@ browser.webRequest.onHeadersReceived.addListener(
   (details) => {
     try {
       tryHandleHeaderSAML(details, false);
+      tryHandleLocationSAML(details);
+      notePendingScanStatus(details);
     } catch (error) {
       console.error(`${LOG_PREFIX} onHeadersReceived error:`, error);
     }
@@ -463,11 +551,25 @@ browser.webRequest.onHeadersReceived.addListener(
   ["responseHeaders"]
 );
 
-// Capture response status and headers for correlation
+// Scan HTML documents in tracked tabs for auto-submitted SAML forms
+browser.webRequest.onBeforeRequest.addListener(
+  (details) => {
+    try {
+      scanResponseBody(details);
+    } catch (error) {
+      console.error(`${LOG_PREFIX} Response scan error:`, error, 'URL:', details.url);
+    }
+  },
+  { urls: ["<all_urls>"], types: ["main_frame", "sub_frame"] },
+  ["blocking"]
+);
+
+// Capture response status and headers for correlation, and when the request finished
 browser.webRequest.onCompleted.addListener(
   (details) => {
     try {
       attachResponseData(details);
+      attachTiming(details);
     } catch (error) {
       console.error(`${LOG_PREFIX} onCompleted error:`, error);
     }
@@ -476,6 +578,54 @@ browser.webRequest.onCompleted.addListener(
   ["responseHeaders"]
 );
 
+// Top-level navigations and redirects in tracked tabs (redirect chain mode)
+browser.webRequest.onBeforeRequest.addListener(
+  (details) => {
+    try {
+      startNavigation(details);
+    } catch (error) {
+      console.error(`${LOG_PREFIX} Navigation start error:`, error, 'URL:', details.url);
+    }
+  },
+  { urls: ["<all_urls>"], types: ["main_frame"] }
+);
+
+// A redirect or a failure also ends the request: later hops of a redirect chain reuse its requestId
+browser.webRequest.onBeforeRedirect.addListener(
+  (details) => {
+    try {
+      attachTiming(details);
+      finishNavigation(details, { location: details.redirectUrl });
+    } catch (error) {
+      console.error(`${LOG_PREFIX} onBeforeRedirect error:`, error);
+    }
+  },
+  { urls: ["<all_urls>"] }
+);
+
+browser.webRequest.onCompleted.addListener(
+  (details) => {
+    try {
+      finishNavigation(details, {});
+    } catch (error) {
+      console.error(`${LOG_PREFIX} Navigation completion error:`, error);
+    }
+  },
+  { urls: ["<all_urls>"], types: ["main_frame"] }
+);
+
+browser.webRequest.onErrorOccurred.addListener(
+  (details) => {
+    try {
+      attachTiming(details);
+      finishNavigation(details, { error: details.error });
+    } catch (error) {
+      console.error(`${LOG_PREFIX} onErrorOccurred error:`, error);
+    }
+  },
+  { urls: ["<all_urls>"] }
+);
+
 function attachResponseData(details) {
   const session = getSessionByTabId(details.tabId);
   if (!session) return;
@@ -492,7 +642,7 @@ function attachResponseData(details) {
   if (details.responseHeaders) {
     for (const h of details.responseHeaders) {
       const name = (h.name || '').toLowerCase();
-      if (['content-type', 'location', 'set-cookie'].includes(name)) {
+      if (['content-type', 'location', 'set-cookie', 'date'].includes(name)) {
         responseHeaders[h.name] = h.value;
       }
     }
@@ -503,6 +653,75 @@ function attachResponseData(details) {
   message.responseHeaders = responseHeaders;
 
   console.log(`${LOG_PREFIX} [Window ${session.windowId}] Attached response data to message ${messageId}: status ${details.statusCode}`);
+  schedulePersist(session);
+  notifyUpdate(session.windowId);
+}
+
+function noteRequestStart(details) {
+  const session = getSessionByTabId(details.tabId);
+  if (session) session.requestStarts.set(details.requestId, details.timeStamp);
+}
+
+// Start and duration of the request that carried a captured message
+function attachTiming(details) {
+  const session = getSessionByTabId(details.tabId);
+  if (!session) return;
+  const start = session.requestStarts.get(details.requestId);
+  session.requestStarts.delete(details.requestId);
+
+  const messageId = session.requestIdToMessageId.get(details.requestId);
+  const message = messageId ? session.messages.find(m => m.id === messageId) : null;
+  if (start === undefined || !message || message.url !== details.url || message.startedAt) return;
+
+  message.startedAt = new Date(start).toISOString();
+  message.duration = Math.max(0, Math.round(details.timeStamp - start));
+  schedulePersist(session);
+  notifyUpdate(session.windowId);
+}
+
+// Redirect chain mode: the pages and hops between SAML messages, one entry per request in a redirect chain
+function navigationSession(details) {
+  const session = getSessionByTabId(details.tabId);
+  return session && session.recordNavigations ? session : null;
+}
+
+function startNavigation(details) {
+  const session = navigationSession(details);
+  if (!session) return;
+
+  const hop = {
+    id: session.nextNavigationId++,
+    requestId: details.requestId,
+    tabId: details.tabId,
+    method: details.method,
+    url: details.url,
+    time: new Date(details.timeStamp).toISOString(),
+    duration: null,
+    statusCode: null,
+    location: null,
+    error: null
+  };
+  session.navigations.push(hop);
+  session.openNavigations.set(details.requestId, hop);
+
+  if (session.navigations.length > MAX_NAVIGATIONS) {
+    const removed = session.navigations.shift();
+    if (session.openNavigations.get(removed.requestId) === removed) session.openNavigations.delete(removed.requestId);
+  }
+}
+
+// A redirect ends the current hop; the browser then starts the next one under the same requestId
+function finishNavigation(details, result) {
+  const session = navigationSession(details);
+  if (!session) return;
+  const hop = session.openNavigations.get(details.requestId);
+  if (!hop) return;
+
+  session.openNavigations.delete(details.requestId);
+  hop.duration = Math.max(0, Math.round(details.timeStamp - Date.parse(hop.time)));
+  hop.statusCode = details.statusCode || null;
+  Object.assign(hop, result);
+  schedulePersist(session);
   notifyUpdate(session.windowId);
 }
 
@@ -551,10 +770,212 @@ async function handleHeaderValue(session, details, headerName, b64Value, isReque
   }
 }
 
+// requestId -> { url, statusCode, date, html } for responses currently being scanned
+const pendingScans = new Map();
+
+// Server clock of a response, used by the UI to estimate clock skew
+function responseDate(details) {
+  const header = (details.responseHeaders || []).find(h => (h.name || '').toLowerCase() === 'date');
+  return header ? header.value : null;
+}
+
+// Documents without a Content-Type are sniffed by the browser, so they are scanned too
+function isHtmlResponse(details) {
+  const header = (details.responseHeaders || []).find(h => (h.name || '').toLowerCase() === 'content-type');
+  return !header || /^\s*(text\/html|application\/xhtml\+xml)\b/i.test(header.value || '');
+}
+
+function notePendingScanStatus(details) {
+  const pending = pendingScans.get(details.requestId);
+  if (!pending) return;
+  pending.statusCode = details.statusCode;
+  pending.date = responseDate(details);
+  pending.html = isHtmlResponse(details);
+}
+
+// Pass the body through untouched while keeping a copy to look for SAML forms
+function scanResponseBody(details) {
+  if (!browser.webRequest.filterResponseData) return;
+  if (!getSessionByTabId(details.tabId)) return;
+
+  const filter = browser.webRequest.filterResponseData(details.requestId);
+  const chunks = [];
+  let size = 0;
+  pendingScans.set(details.requestId, { url: details.url, statusCode: null, date: null, html: true });
+
+  filter.ondata = (event) => {
+    filter.write(event.data);
+    // PDFs, images and downloads opened as documents are passed on without keeping a copy
+    const pending = pendingScans.get(details.requestId);
+    if (pending && !pending.html) {
+      pendingScans.delete(details.requestId);
+      chunks.length = 0;
+      filter.disconnect();
+      return;
+    }
+    if (size < MAX_RESPONSE_SCAN_BYTES) {
+      chunks.push(new Uint8Array(event.data));
+      size += event.data.byteLength;
+    }
+  };
+  filter.onstop = () => {
+    filter.close();
+    const pending = pendingScans.get(details.requestId);
+    pendingScans.delete(details.requestId);
+    const buf = new Uint8Array(size);
+    let offset = 0;
+    for (const c of chunks) { buf.set(c, offset); offset += c.length; }
+    const html = bytesToUtf8(buf);
+    if (html && /SAML(Response|Request|art)/.test(html)) {
+      handleResponseHTML(details, html, pending || {});
+    }
+  };
+  filter.onerror = () => {
+    pendingScans.delete(details.requestId);
+  };
+}
+
+function extractSAMLForms(html, baseUrl) {
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const found = [];
+  for (const form of doc.querySelectorAll('form')) {
+    const input = form.querySelector('input[name="SAMLResponse"], input[name="SAMLRequest"], input[name="SAMLart"]');
+    if (!input || !input.getAttribute('value')) continue;
+    const relay = form.querySelector('input[name="RelayState"]');
+    let action = form.getAttribute('action') || baseUrl;
+    try {
+      action = new URL(action, baseUrl).href;
+    } catch (_) { }
+    const name = input.getAttribute('name');
+    found.push({
+      name: name === 'SAMLart' ? 'SAMLArtifact' : name,
+      value: input.getAttribute('value').trim(),
+      action,
+      method: (form.getAttribute('method') || 'GET').toUpperCase(),
+      relayState: relay ? relay.getAttribute('value') : null
+    });
+  }
+  return found;
+}
+
+async function handleResponseHTML(details, html, { statusCode = null, date = null }) {
+  const session = getSessionByTabId(details.tabId);
+  if (!session) return;
+  try {
+    for (const form of extractSAMLForms(html, details.url)) {
+      await recordResponseSideMessage(session, form, {
+        transport: 'HTML-FORM(res)',
+        source: 'html-form',
+        tabId: details.tabId,
+        url: form.action,
+        method: form.method,
+        relayState: form.relayState,
+        deliveredBy: { requestId: details.requestId, url: details.url, statusCode, date }
+      });
+    }
+  } catch (error) {
+    console.error(`${LOG_PREFIX} [Window ${session.windowId}] HTML form scan failed:`, error);
+  }
+}
+
+// SAML messages carried in a redirect Location header
+function tryHandleLocationSAML(details) {
+  if (details.statusCode < 300 || details.statusCode >= 400) return;
+  const session = getSessionByTabId(details.tabId);
+  if (!session || !details.responseHeaders) return;
+
+  const header = details.responseHeaders.find(h => (h.name || '').toLowerCase() === 'location');
+  if (!header || !header.value) return;
+  let location;
+  try {
+    location = new URL(header.value, details.url).href;
+  } catch (_) {
+    return;
+  }
+  const found = extractFromQuery(location);
+  if (!found) return;
+
+  let relayState = null;
+  try {
+    relayState = new URL(location).searchParams.get('RelayState');
+  } catch (_) { }
+
+  recordResponseSideMessage(session, found, {
+    transport: 'REDIRECT(res)',
+    source: 'location',
+    tabId: details.tabId,
+    url: location,
+    method: 'GET',
+    relayState,
+    redirectSignature: found.redirectSignature || null,
+    deliveredBy: { requestId: details.requestId, url: details.url, statusCode: details.statusCode, date: responseDate(details) }
+  }).catch(error => console.error(`${LOG_PREFIX} [Window ${session.windowId}] Location SAML processing error:`, error));
+}
+
+async function recordResponseSideMessage(session, found, meta) {
+  let xml;
+  let encoding;
+  if (found.name === 'SAMLArtifact') {
+    xml = makeArtifactXML(found.value);
+    encoding = 'artifact';
+  } else {
+    // Redirect binding deflates; POST forms carry plain base64
+    const tryInflate = meta.transport === 'REDIRECT(res)';
+    xml = await decodeSAML(found.value, tryInflate);
+    encoding = tryInflate ? 'deflate-raw' : 'base64';
+    if (!xml || !looksLikeXML(xml)) return;
+    xml = xml.trim();
+  }
+
+  const entry = {
+    id: session.nextMessageId++,
+    kind: found.name,
+    transport: meta.transport,
+    url: meta.url,
+    time: new Date().toISOString(),
+    xml,
+    tabId: meta.tabId,
+    source: meta.source,
+    base64: found.value,
+    encoding,
+    relayState: meta.relayState || null,
+    method: meta.method,
+    redirectSignature: meta.redirectSignature || null,
+    deliveredBy: meta.deliveredBy,
+    deliveredMessageId: null
+  };
+
+  // The browser may already have sent it (e.g. redirect followed before the body finished)
+  const delivered = session.messages.find(m => !RESPONSE_SIDE_TRANSPORTS.includes(m.transport) && m.kind === entry.kind && m.xml === entry.xml);
+  if (delivered) entry.deliveredMessageId = delivered.id;
+
+  addMessage(session, entry);
+}
+
+// Local name of the SAML root element, looking inside a SOAP Envelope/Body if present
+function samlRootLocalName(xml) {
+  let t = xml.slice(0, XML_DETECTION_PREVIEW_LENGTH * 4)
+    .replace(/<\?[\s\S]*?\?>/g, '')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .replace(/<!DOCTYPE[^>]*>/gi, '');
+  const elementName = /<(?:[\w.-]+:)?([\w.-]+)[\s>/]/;
+  let m = t.match(elementName);
+  if (m && m[1] === 'Envelope') {
+    const body = t.match(/<(?:[\w.-]+:)?Body\b[^>]*>/);
+    if (body) {
+      t = t.slice(body.index + body[0].length);
+      m = t.match(elementName) || m;
+    }
+  }
+  return m ? m[1] : null;
+}
+
+// Classify by root element: protocol requests and queries vs responses
 function guessKindFromXML(xml) {
-  const t = xml.slice(0, XML_DETECTION_PREVIEW_LENGTH);
-  if (/\bAuthnRequest\b/i.test(t)) return 'SAMLRequest';
-  if (/\bResponse\b/i.test(t)) return 'SAMLResponse';
+  const root = samlRootLocalName(xml);
+  if (!root) return 'SAML-XML';
+  if (/(Request|Query|ArtifactResolve)$/.test(root)) return 'SAMLRequest';
+  if (/Response$/.test(root) || root === 'Assertion') return 'SAMLResponse';
   return 'SAML-XML';
 }
 
@@ -573,6 +994,8 @@ browser.runtime.onMessage.addListener((msg, sender) => {
           rootTabId: session ? session.rootTabId : null,
           trackedCount: session ? session.trackedTabIds.size : 0,
           messageCount: session ? session.messages.length : 0,
+          captureId: session ? session.captureId : null,
+          recordNavigations: session ? session.recordNavigations : false,
         });
       }
       case 'getTargetTab': {
@@ -580,8 +1003,11 @@ browser.runtime.onMessage.addListener((msg, sender) => {
         return Promise.resolve({ targetTabId: pendingTargetTab });
       }
       case 'startCapture': {
+        // A reopened or import-only session is replaced; it is already in the library
+        const existing = getSessionByWindowId(windowId);
+        if (existing && !existing.isCapturing) stopCapture(windowId);
         if (!getSessionByWindowId(windowId)) {
-          startCapture(windowId, msg.tabId);
+          startCapture(windowId, msg.tabId, !!msg.recordNavigations);
         }
         return Promise.resolve({ capturing: true });
       }
@@ -590,13 +1016,29 @@ browser.runtime.onMessage.addListener((msg, sender) => {
         return Promise.resolve({ capturing: false });
       case 'getMessages': {
         const session = getSessionByWindowId(windowId);
-        return Promise.resolve({ messages: session ? session.messages : [] });
+        return Promise.resolve({ messages: session ? session.messages : [], navigations: session ? session.navigations : [] });
+      }
+      case 'setRecordNavigations': {
+        const session = getSessionByWindowId(windowId);
+        if (session) session.recordNavigations = !!msg.enabled;
+        return Promise.resolve({ recordNavigations: session ? session.recordNavigations : false });
       }
       case 'clearMessages': {
         const session = getSessionByWindowId(windowId);
         if (session) {
+          // Keep the cleared messages in the library; later messages start a new capture.
+          // Saves already queued read the emptied session, so this one gets its own copy.
+          if (session.messages.length) {
+            persistSession(session, { messages: session.messages.slice(), navigations: session.navigations.slice() });
+          }
+          session.persistChain = session.persistChain.then(() => {
+            session.captureId = null;
+            session.createdAt = new Date().toISOString();
+          });
           session.messages = [];
           session.seenKeys.clear();
+          session.navigations = [];
+          session.openNavigations.clear();
           console.log(`${LOG_PREFIX} [Window ${windowId}] Messages cleared`);
           notifyUpdate(windowId);
         }
@@ -635,6 +1077,33 @@ browser.runtime.onMessage.addListener((msg, sender) => {
         console.log(`${LOG_PREFIX} [Window ${windowId}] Imported ${imported} messages`);
         return Promise.resolve({ imported });
       }
+      case 'replayMessage':
+        return startReplay(windowId, msg.sourceId, msg.request);
+      case 'getReplay': {
+        const replay = sender.tab ? pendingReplays.get(sender.tab.id) : null;
+        return Promise.resolve(replay ? { method: replay.method, url: replay.url, fields: replay.fields } : null);
+      }
+      case 'listCaptures':
+        return listCaptures().then(captures => ({ captures }));
+      case 'getCapture':
+        return loadCapture(msg.captureId);
+      case 'openCapture':
+        return openStoredCapture(windowId, msg.captureId);
+      case 'renameCapture':
+        return renameCapture(msg.captureId, msg.name).then(capture => ({ capture }));
+      case 'deleteCapture': {
+        // The open session keeps its messages but no longer writes to the deleted record. Its pending
+        // save is dropped and the delete waits for the queued ones so none of them restores the record.
+        const owner = [...sessions.values()].find(session => session.captureId === msg.captureId);
+        if (!owner) return deleteCapture(msg.captureId).then(() => ({ ok: true }));
+        clearTimeout(owner.persistTimer);
+        owner.persistTimer = null;
+        const deleted = owner.persistChain.then(() => deleteCapture(msg.captureId)).then(() => {
+          owner.captureId = null;
+        });
+        owner.persistChain = deleted.catch(() => {});
+        return deleted.then(() => ({ ok: true }));
+      }
       default:
         return;
     }
@@ -0,0 +1,68 @@
+// SAML binding encodings shared by the background script and the pages: base64, deflate-raw and query parameters
+
+async function maybeInflateDeflateRaw(bytes) {
+  if (typeof DecompressionStream === 'undefined') {
+    console.warn('[SAMLView] DecompressionStream not available, cannot inflate deflate-raw data');
+    return bytes;
+  }
+  try {
+    const stream = new DecompressionStream('deflate-raw');
+    const ds = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+    const inflated = new Uint8Array(await ds.arrayBuffer());
+    return inflated;
+  } catch (e) {
+    console.warn('[SAMLView] Deflate inflation failed:', e);
+    return bytes; // fallback if inflate fails
+  }
+}
+
+async function deflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+function bytesToUtf8(bytes) {
+  try {
+    return new TextDecoder('utf-8', { fatal: false }).decode(bytes);
+  } catch (e) {
+    console.error('[SAMLView] UTF-8 decode failed:', e);
+    return null;
+  }
+}
+
+async function decodeSAML(b64, tryInflate) {
+  const raw = b64ToBytes(b64);
+  if (!raw) return null;
+  let data = raw;
+  if (tryInflate) {
+    data = await maybeInflateDeflateRaw(raw);
+  }
+  const text = bytesToUtf8(data);
+  return text || null;
+}
+
+// HTTP-Redirect binding signature: the signed octet string is built from the raw
+// (still URL-encoded) query parameters, so it must be taken from the URL as sent
+function extractRedirectSignature(url, q) {
+  if (!q.has('SigAlg') || !q.has('Signature')) return null;
+  const query = url.split('#')[0].split('?')[1] || '';
+  const signed = query.split('&').filter(part => /^(SAMLRequest|SAMLResponse|RelayState|SigAlg)=/.test(part));
+  return {
+    sigAlg: q.get('SigAlg'),
+    signature: q.get('Signature'),
+    signedQuery: signed.join('&')
+  };
+}
+
+function extractFromQuery(url) {
+  try {
+    const u = new URL(url);
+    const q = u.searchParams;
+    if (q.has('SAMLResponse')) return { name: 'SAMLResponse', value: q.get('SAMLResponse'), transport: 'GET', redirectSignature: extractRedirectSignature(url, q) };
+    if (q.has('SAMLRequest')) return { name: 'SAMLRequest', value: q.get('SAMLRequest'), transport: 'GET', redirectSignature: extractRedirectSignature(url, q) };
+    if (q.has('SAMLart')) return { name: 'SAMLArtifact', value: q.get('SAMLart'), transport: 'GET' };
+  } catch (error) {
+    console.error('[SAMLView] URL parse failed:', error);
+  }
+  return null;
+}
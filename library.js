@@ -0,0 +1,142 @@
+// Persistent capture library (IndexedDB)
+// Captures survive closing the tracer window and browser restarts.
+
+const LIBRARY_DB_NAME = 'samlview-library';
+const LIBRARY_DB_VERSION = 1;
+const CAPTURES_STORE = 'captures';
+const CAPTURE_MESSAGES_STORE = 'messages';
+
+let libraryDbPromise = null;
+
+function idbRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function idbTransactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+function openLibraryDb() {
+  if (!libraryDbPromise) {
+    libraryDbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(LIBRARY_DB_NAME, LIBRARY_DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(CAPTURES_STORE)) {
+          db.createObjectStore(CAPTURES_STORE, { keyPath: 'id', autoIncrement: true });
+        }
+        if (!db.objectStoreNames.contains(CAPTURE_MESSAGES_STORE)) {
+          const messages = db.createObjectStore(CAPTURE_MESSAGES_STORE, { keyPath: ['captureId', 'id'] });
+          messages.createIndex('captureId', 'captureId');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    }).catch(error => {
+      libraryDbPromise = null;
+      throw error;
+    });
+  }
+  return libraryDbPromise;
+}
+
+function captureMessagesRange(captureId) {
+  return IDBKeyRange.bound([captureId, -Infinity], [captureId, Infinity]);
+}
+
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch (_) {
+    return null;
+  }
+}
+
+// Library listing fields derived from the messages: hosts and how the flow ended
+function summarizeCapture(messages) {
+  const firstRequest = messages.find(m => m.kind === 'SAMLRequest');
+  const responses = messages.filter(m => m.kind === 'SAMLResponse' || m.kind === 'SAMLArtifact');
+  const lastResponse = responses[responses.length - 1];
+
+  let outcome = 'incomplete';
+  if (lastResponse && lastResponse.kind === 'SAMLResponse') {
+    const status = (lastResponse.xml.match(/StatusCode\b[^>]*\bValue="([^"]+)"/) || [])[1] || '';
+    outcome = status.endsWith(':Success') ? 'success' : 'failure';
+  } else if (lastResponse) {
+    outcome = 'artifact';
+  }
+
+  return {
+    messageCount: messages.length,
+    idpHost: firstRequest ? hostOf(firstRequest.url) : null,
+    spHost: lastResponse ? hostOf(lastResponse.url) : null,
+    outcome
+  };
+}
+
+// Insert or update a capture and replace its stored messages; returns the capture id
+async function saveCapture(capture, messages) {
+  const db = await openLibraryDb();
+  const tx = db.transaction([CAPTURES_STORE, CAPTURE_MESSAGES_STORE], 'readwrite');
+  const done = idbTransactionDone(tx);
+  const captures = tx.objectStore(CAPTURES_STORE);
+
+  // Keep fields edited from the library (name) when the capture is saved again
+  const existing = capture.id !== null && capture.id !== undefined ? await idbRequest(captures.get(capture.id)) : null;
+  const record = { name: null, ...existing, ...capture, ...summarizeCapture(messages), updatedAt: new Date().toISOString() };
+  if (record.id === null || record.id === undefined) delete record.id;
+
+  const id = await idbRequest(captures.put(record));
+  const store = tx.objectStore(CAPTURE_MESSAGES_STORE);
+  store.delete(captureMessagesRange(id));
+  for (const m of messages) store.put({ ...m, captureId: id });
+  await done;
+  return id;
+}
+
+async function listCaptures() {
+  const db = await openLibraryDb();
+  const captures = await idbRequest(db.transaction(CAPTURES_STORE).objectStore(CAPTURES_STORE).getAll());
+  return captures.sort((a, b) => (b.createdAt || '').localeCompare(a.createdAt || ''));
+}
+
+async function loadCapture(captureId) {
+  const db = await openLibraryDb();
+  const tx = db.transaction([CAPTURES_STORE, CAPTURE_MESSAGES_STORE]);
+  const capture = await idbRequest(tx.objectStore(CAPTURES_STORE).get(captureId));
+  if (!capture) return null;
+  const stored = await idbRequest(tx.objectStore(CAPTURE_MESSAGES_STORE).index('captureId').getAll(captureId));
+  const messages = stored
+    .map(({ captureId: _, ...m }) => m)
+    .sort((a, b) => a.id - b.id);
+  return { capture, messages };
+}
+
+async function renameCapture(captureId, name) {
+  const db = await openLibraryDb();
+  const tx = db.transaction(CAPTURES_STORE, 'readwrite');
+  const done = idbTransactionDone(tx);
+  const store = tx.objectStore(CAPTURES_STORE);
+  const capture = await idbRequest(store.get(captureId));
+  if (!capture) throw new Error(`Capture ${captureId} not found`);
+  capture.name = name || null;
+  store.put(capture);
+  await done;
+  return capture;
+}
+
+async function deleteCapture(captureId) {
+  const db = await openLibraryDb();
+  const tx = db.transaction([CAPTURES_STORE, CAPTURE_MESSAGES_STORE], 'readwrite');
+  const done = idbTransactionDone(tx);
+  tx.objectStore(CAPTURES_STORE).delete(captureId);
+  tx.objectStore(CAPTURE_MESSAGES_STORE).delete(captureMessagesRange(captureId));
+  await done;
+}
@@ -52,7 +52,7 @@ document.getElementById('toggleBtn').addEventListener('click', async () => {
     const state = await browser.runtime.sendMessage({ type: 'getState' });
 
     if (!state.capturing) {
-      await browser.runtime.sendMessage({ type: 'startCapture', tabId });
+      await browser.runtime.sendMessage({ type: 'startCapture', tabId, recordNavigations: getRecordRedirectChain() });
       showSuccess('Capture started', messageContainer);
     } else {
       await browser.runtime.sendMessage({ type: 'stopCapture' });
@@ -0,0 +1,33 @@
+// Replay tab: fetch the request queued by the background script and send it as the original binding would
+async function sendReplay() {
+  const status = document.getElementById('replayStatus');
+  try {
+    const replay = await browser.runtime.sendMessage({ type: 'getReplay' });
+    if (!replay) {
+      status.textContent = 'Nothing to replay in this tab.';
+      return;
+    }
+    if (replay.method === 'GET') {
+      window.location.replace(replay.url);
+      return;
+    }
+    // HTTP-POST binding: an auto-submitted form, like an IdP or SP would send
+    const form = document.createElement('form');
+    form.method = 'POST';
+    form.action = replay.url;
+    for (const field of replay.fields) {
+      const input = document.createElement('input');
+      input.type = 'hidden';
+      input.name = field.name;
+      input.value = field.value;
+      form.appendChild(input);
+    }
+    document.body.appendChild(form);
+    form.submit();
+  } catch (error) {
+    console.error('[SAMLView] Replay failed:', error);
+    status.textContent = `Replay failed: ${error.message}`;
+  }
+}
+
+sendReplay();
@@ -0,0 +1,85 @@
+// SAML artifact decoding (SAML 2.0 type 0x0004 and SAML 1.x types 0x0001 / 0x0002)
+
+const ARTIFACT_TYPES = {
+  0x0001: 'SAML 1.x (type 0x0001)',
+  0x0002: 'SAML 1.x (type 0x0002)',
+  0x0004: 'SAML 2.0 (type 0x0004)'
+};
+
+// Split an artifact into its fields; returns null if it is not valid base64 or too short
+function decodeSamlArtifact(value) {
+  const bytes = b64ToBytes((value || '').trim());
+  if (!bytes || bytes.length < 4) return null;
+
+  const typeCode = (bytes[0] << 8) | bytes[1];
+  const result = {
+    typeCode,
+    typeCodeHex: `0x${typeCode.toString(16).padStart(4, '0')}`,
+    typeLabel: ARTIFACT_TYPES[typeCode] || 'Unknown artifact type',
+    length: bytes.length,
+    endpointIndex: null,
+    sourceId: null,
+    messageHandle: null,
+    assertionHandle: null,
+    sourceLocation: null,
+    problems: []
+  };
+
+  if (typeCode === 0x0004) {
+    // TypeCode(2) EndpointIndex(2) SourceID(20) MessageHandle(20)
+    if (bytes.length !== 44) result.problems.push(`SAML 2.0 artifact should be 44 bytes, got ${bytes.length}`);
+    if (bytes.length < 24) return result;
+    result.endpointIndex = (bytes[2] << 8) | bytes[3];
+    result.sourceId = bytesToHex(bytes.subarray(4, 24));
+    result.messageHandle = bytesToHex(bytes.subarray(24, 44));
+  } else if (typeCode === 0x0001) {
+    // TypeCode(2) SourceID(20) AssertionHandle(20)
+    if (bytes.length !== 42) result.problems.push(`SAML 1.x artifact should be 42 bytes, got ${bytes.length}`);
+    if (bytes.length < 22) return result;
+    result.sourceId = bytesToHex(bytes.subarray(2, 22));
+    result.assertionHandle = bytesToHex(bytes.subarray(22, 42));
+  } else if (typeCode === 0x0002) {
+    // TypeCode(2) AssertionHandle(20) SourceLocation(URI)
+    if (bytes.length < 22) {
+      result.problems.push('SAML 1.x type 0x0002 artifact is truncated');
+      return result;
+    }
+    result.assertionHandle = bytesToHex(bytes.subarray(2, 22));
+    result.sourceLocation = bytesToUtf8(bytes.subarray(22));
+  } else {
+    result.problems.push(`Unknown TypeCode ${result.typeCodeHex}`);
+  }
+  return result;
+}
+
+const entitySourceIdCache = new Map(); // Map<entityID, Promise<hex SHA-1>>
+
+function entitySourceId(entityId) {
+  if (!entitySourceIdCache.has(entityId)) {
+    entitySourceIdCache.set(entityId, crypto.subtle.digest('SHA-1', new TextEncoder().encode(entityId))
+      .then(digest => bytesToHex(new Uint8Array(digest))));
+  }
+  return entitySourceIdCache.get(entityId);
+}
+
+// Map<SourceID hex, entityID> for the given candidate entity IDs
+async function buildSourceIdIndex(entityIds) {
+  const index = new Map();
+  for (const entityId of new Set(entityIds)) {
+    if (!entityId) continue;
+    index.set(await entitySourceId(entityId), entityId);
+  }
+  return index;
+}
+
+// Human readable one-liner, e.g. for the summary and flow step
+function describeArtifact(info) {
+  if (!info) return 'Not a decodable artifact';
+  const parts = [];
+  if (info.entityId) parts.push(`artifact issued by ${info.entityId}`);
+  else if (info.sourceId) parts.push('artifact issued by an unknown entity');
+  else if (info.sourceLocation) parts.push(`artifact from ${info.sourceLocation}`);
+  else parts.push(info.typeLabel);
+  if (info.endpointIndex !== null) parts.push(`resolution endpoint index ${info.endpointIndex}`);
+  return parts.join(', ');
+}
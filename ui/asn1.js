@@ -0,0 +1,185 @@
+// Minimal DER (ASN.1) reader for certificates and keys
+
+const ASN1_CLASS_UNIVERSAL = 0;
+const ASN1_CLASS_CONTEXT = 2;
+
+const ASN1_TAG = {
+  BOOLEAN: 0x01,
+  INTEGER: 0x02,
+  BIT_STRING: 0x03,
+  OCTET_STRING: 0x04,
+  NULL: 0x05,
+  OID: 0x06,
+  UTF8_STRING: 0x0c,
+  SEQUENCE: 0x10,
+  SET: 0x11,
+  PRINTABLE_STRING: 0x13,
+  T61_STRING: 0x14,
+  IA5_STRING: 0x16,
+  UTC_TIME: 0x17,
+  GENERALIZED_TIME: 0x18,
+  BMP_STRING: 0x1e
+};
+
+// Parse one DER element (and its children if constructed) starting at offset
+function readDER(bytes, offset = 0) {
+  const start = offset;
+  if (offset >= bytes.length) throw new Error('DER: unexpected end of input');
+
+  const first = bytes[offset++];
+  const tagClass = first >> 6;
+  const constructed = (first & 0x20) !== 0;
+  let tag = first & 0x1f;
+  if (tag === 0x1f) {
+    tag = 0;
+    let b;
+    do {
+      b = bytes[offset++];
+      tag = (tag << 7) | (b & 0x7f);
+    } while (b & 0x80);
+  }
+
+  let length = bytes[offset++];
+  if (length & 0x80) {
+    const n = length & 0x7f;
+    if (n === 0 || n > 4) throw new Error('DER: unsupported length encoding');
+    length = 0;
+    for (let i = 0; i < n; i++) length = (length * 256) + bytes[offset++];
+  }
+
+  const contentStart = offset;
+  const end = contentStart + length;
+  if (end > bytes.length) throw new Error('DER: length exceeds input');
+
+  const node = { tagClass, constructed, tag, start, contentStart, end, bytes, children: null };
+  if (constructed) {
+    node.children = [];
+    let p = contentStart;
+    while (p < end) {
+      const child = readDER(bytes, p);
+      node.children.push(child);
+      p = child.end;
+    }
+  }
+  return node;
+}
+
+function parseDER(bytes) {
+  try {
+    return readDER(bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes), 0);
+  } catch (error) {
+    console.warn('[SAMLView] DER parse failed:', error.message);
+    return null;
+  }
+}
+
+// Full encoding of the element including tag and length
+function derRaw(node) {
+  return node.bytes.subarray(node.start, node.end);
+}
+
+function derContent(node) {
+  return node.bytes.subarray(node.contentStart, node.end);
+}
+
+function derIsContext(node, tag) {
+  return node && node.tagClass === ASN1_CLASS_CONTEXT && node.tag === tag;
+}
+
+function derOID(node) {
+  const c = derContent(node);
+  if (!c.length) return '';
+  const parts = [Math.floor(c[0] / 40), c[0] % 40];
+  let value = 0;
+  for (let i = 1; i < c.length; i++) {
+    value = (value * 128) + (c[i] & 0x7f);
+    if (!(c[i] & 0x80)) {
+      parts.push(value);
+      value = 0;
+    }
+  }
+  return parts.join('.');
+}
+
+// Convert a PEM block (or bare base64) to DER bytes
+function pemToDer(pem) {
+  if (!pem) return null;
+  const body = String(pem)
+    .replace(/-----BEGIN [^-]+-----/g, '')
+    .replace(/-----END [^-]+-----/g, '')
+    .replace(/\s+/g, '');
+  if (!body) return null;
+  return b64ToBytes(body);
+}
+
+function derToPem(der, label = 'CERTIFICATE') {
+  const b64 = bytesToB64(der);
+  const lines = b64.match(/.{1,64}/g) || [];
+  return `-----BEGIN ${label}-----\n${lines.join('\n')}\n-----END ${label}-----\n`;
+}
+
+// Locate SubjectPublicKeyInfo in an X.509 certificate
+function certificatePublicKeyInfo(certDer) {
+  const cert = parseDER(certDer);
+  if (!cert || !cert.children || !cert.children.length) return null;
+  const tbs = cert.children[0];
+  if (!tbs.children) return null;
+
+  // tbsCertificate: [0] version (optional), serial, signature, issuer, validity, subject, spki
+  const base = derIsContext(tbs.children[0], 0) ? 1 : 0;
+  const spki = tbs.children[base + 5];
+  if (!spki || !spki.children || !spki.children[0].children) return null;
+
+  const algSeq = spki.children[0];
+  const params = algSeq.children[1];
+  return {
+    spki: derRaw(spki),
+    algorithm: derOID(algSeq.children[0]),
+    parameters: params && params.tag === ASN1_TAG.OID ? derOID(params) : null
+  };
+}
+
+function bytesToHex(bytes) {
+  let hex = '';
+  for (const b of bytes) hex += b.toString(16).padStart(2, '0');
+  return hex;
+}
+
+// Unsigned big-endian integer
+function bytesToBigInt(bytes) {
+  const hex = bytesToHex(bytes);
+  return hex ? BigInt(`0x${hex}`) : 0n;
+}
+
+function derBigInt(node) {
+  return bytesToBigInt(derContent(node));
+}
+
+// Encode a single DER element from a tag byte and content bytes
+function derEncode(tagByte, content) {
+  const len = content.length;
+  let header;
+  if (len < 0x80) {
+    header = [tagByte, len];
+  } else {
+    const lenBytes = [];
+    for (let n = len; n > 0; n = Math.floor(n / 256)) lenBytes.unshift(n & 0xff);
+    header = [tagByte, 0x80 | lenBytes.length, ...lenBytes];
+  }
+  const out = new Uint8Array(header.length + len);
+  out.set(header, 0);
+  out.set(content, header.length);
+  return out;
+}
+
+function concatBytes(...parts) {
+  let total = 0;
+  for (const p of parts) total += p.length;
+  const out = new Uint8Array(total);
+  let offset = 0;
+  for (const p of parts) {
+    out.set(p, offset);
+    offset += p.length;
+  }
+  return out;
+}
@@ -1,5 +1,8 @@
 let _windowId = null;
 
+// Transports for messages observed in responses rather than in requests (see background.js)
+const RESPONSE_SIDE_TRANSPORTS = ['HTML-FORM(res)', 'REDIRECT(res)'];
+
 // Get current window ID (cached)
 async function getWindowId() {
   if (_windowId === null) {
@@ -38,29 +41,94 @@ function looksLikeXML(s) {
   return t.startsWith('<') || t.startsWith('<?xml');
 }
 
-// Fetch messages from background
-async function fetchMessages() {
+function b64ToBytes(b64) {
+  try {
+    const bin = atob(String(b64).replace(/\s+/g, ''));
+    const bytes = new Uint8Array(bin.length);
+    for (let i = 0; i < bin.length; i++) bytes[i] = bin.charCodeAt(i);
+    return bytes;
+  } catch (e) {
+    console.warn('[SAMLView] Base64 decode failed:', e.message);
+    return null;
+  }
+}
+
+function bytesToB64(bytes) {
+  const arr = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  let bin = '';
+  for (let i = 0; i < arr.length; i += 0x8000) {
+    bin += String.fromCharCode.apply(null, arr.subarray(i, i + 0x8000));
+  }
+  return btoa(bin);
+}
+
+// Fetch the session's messages and the top-level navigations recorded in redirect chain mode
+async function fetchSession() {
   try {
     const windowId = await getWindowId();
     const res = await browser.runtime.sendMessage({ type: 'getMessages', windowId });
-    return res.messages || [];
+    return { messages: res.messages || [], navigations: res.navigations || [] };
   } catch (error) {
     console.error('[SAMLView] Failed to fetch messages:', error);
-    return [];
+    return { messages: [], navigations: [] };
   }
 }
 
+// Fetch messages from background
+async function fetchMessages() {
+  return (await fetchSession()).messages;
+}
+
 
 function attr(elm, name) {
   return elm ? elm.getAttribute(name) : null;
 }
 
+// SAML protocol messages by root element
+const SAML_MESSAGE_TYPES = {
+  AuthnRequest: { label: 'Request', flowLabel: 'SAML Request', category: 'sso', direction: 'request' },
+  Response: { label: 'Response', flowLabel: 'SAML Response', category: 'sso', direction: 'response' },
+  Assertion: { label: 'Assertion', flowLabel: 'SAML Assertion', category: 'sso', direction: 'response' },
+  LogoutRequest: { label: 'Logout Request', flowLabel: 'Logout Request', category: 'slo', direction: 'request' },
+  LogoutResponse: { label: 'Logout Response', flowLabel: 'Logout Response', category: 'slo', direction: 'response' },
+  ArtifactResolve: { label: 'Artifact Resolve', flowLabel: 'Artifact Resolve', category: 'artifact', direction: 'request' },
+  ArtifactResponse: { label: 'Artifact Response', flowLabel: 'Artifact Response', category: 'artifact', direction: 'response' },
+  AttributeQuery: { label: 'Attribute Query', flowLabel: 'Attribute Query', category: 'query', direction: 'request' },
+  AuthnQuery: { label: 'Authn Query', flowLabel: 'Authn Query', category: 'query', direction: 'request' },
+  AuthzDecisionQuery: { label: 'Authz Query', flowLabel: 'Authz Decision Query', category: 'query', direction: 'request' },
+  ManageNameIDRequest: { label: 'Manage NameID', flowLabel: 'Manage NameID Request', category: 'nameid', direction: 'request' },
+  ManageNameIDResponse: { label: 'Manage NameID Resp', flowLabel: 'Manage NameID Response', category: 'nameid', direction: 'response' },
+  NameIDMappingRequest: { label: 'NameID Mapping', flowLabel: 'NameID Mapping Request', category: 'nameid', direction: 'request' },
+  NameIDMappingResponse: { label: 'NameID Mapping Resp', flowLabel: 'NameID Mapping Response', category: 'nameid', direction: 'response' },
+  Artifact: { label: 'Artifact', flowLabel: 'SAML Artifact', category: 'artifact', direction: 'response' }
+};
+
+// SOAP-bound messages (ArtifactResolve, AttributeQuery, back-channel SLO) wrap the SAML element in Envelope/Body
+function samlRootElement(doc) {
+  const root = doc.documentElement;
+  if (root && root.localName === 'Envelope') {
+    const body = Array.from(root.children).find(c => c.localName === 'Body');
+    if (body && body.firstElementChild) return body.firstElementChild;
+  }
+  return root;
+}
+
+// Classify a captured message; falls back to the binding parameter name
+function samlMessageType(m) {
+  if (m.kind === 'SAMLArtifact') return { type: 'Artifact', ...SAML_MESSAGE_TYPES.Artifact };
+  const parsed = parseSaml(m.decryption && m.decryption.xml ? m.decryption.xml : m.xml);
+  const root = parsed ? parsed.root : null;
+  if (root && SAML_MESSAGE_TYPES[root]) return { type: root, ...SAML_MESSAGE_TYPES[root] };
+  const direction = m.kind === 'SAMLRequest' ? 'request' : 'response';
+  return { type: root || m.kind, label: direction === 'request' ? 'Request' : 'Response', flowLabel: `SAML ${root || m.kind}`, category: 'other', direction };
+}
+
 // Parse SAML XML into structured data
 function parseSaml(xmlStr) {
   try {
     const doc = new DOMParser().parseFromString(xmlStr, 'application/xml');
     if (doc.getElementsByTagName('parsererror').length) return null;
-    const root = doc.documentElement;
+    const root = samlRootElement(doc);
 
     // Helper to find node case-insensitively in namespace-agnostic way
     const find = (parent, localName) => {
@@ -158,8 +226,9 @@ function parseSaml(xmlStr) {
       for (const a of attrs) {
         const name = attr(a, 'Name') || attr(a, 'FriendlyName') || '(unnamed)';
         const nameFormat = attr(a, 'NameFormat');
+        const friendlyName = attr(a, 'FriendlyName');
         const values = findAll(a, 'AttributeValue').map(v => v.textContent.trim());
-        summary.attributes.push({ name, nameFormat, values });
+        summary.attributes.push({ name, nameFormat, friendlyName, values });
       }
     }
 
@@ -170,6 +239,58 @@ function parseSaml(xmlStr) {
       summary.allowCreate = attr(namePolicy, 'AllowCreate');
     }
 
+    // Logout and NameID management requests carry NameID/SessionIndex as direct children
+    const directChild = (localName) => Array.from(root.children).find(c => c.localName === localName) || null;
+    const directNameID = directChild('NameID');
+    if (directNameID && !summary.subject) {
+      summary.subject = directNameID.textContent.trim();
+      summary.nameIDFormat = attr(directNameID, 'Format');
+    }
+    const sessionIndexes = Array.from(root.children).filter(c => c.localName === 'SessionIndex').map(n => n.textContent.trim());
+    if (sessionIndexes.length) {
+      summary.sessionIndexes = sessionIndexes;
+      if (!summary.sessionIndex) summary.sessionIndex = sessionIndexes.join(', ');
+    }
+    summary.reason = attr(root, 'Reason');
+    if (root.localName === 'LogoutRequest') summary.logoutNotOnOrAfter = attr(root, 'NotOnOrAfter');
+
+    const artifact = directChild('Artifact');
+    if (artifact) summary.artifact = artifact.textContent.trim();
+
+    const newID = directChild('NewID');
+    if (newID) summary.newNameID = newID.textContent.trim();
+    if (directChild('Terminate')) summary.terminate = 'true';
+
+    // AttributeQuery lists the requested attributes directly under the query
+    const requested = Array.from(root.children).filter(c => c.localName === 'Attribute');
+    if (requested.length) {
+      summary.requestedAttributes = requested.map(a => attr(a, 'Name') || attr(a, 'FriendlyName') || '(unnamed)');
+    }
+
+    // Structure needed for conformance checks: where the Issuers and signatures sit
+    const messageIssuer = directChild('Issuer');
+    summary.messageIssuer = messageIssuer ? messageIssuer.textContent.trim() : null;
+    summary.messageSigned = !!directChild('Signature');
+    const assertions = findAll(root, 'Assertion');
+    summary.assertionCount = assertions.length;
+    summary.encryptedAssertionCount = findAll(root, 'EncryptedAssertion').length;
+    summary.assertionsSigned = assertions.length > 0 && assertions.every(a => Array.from(a.children).some(c => c.localName === 'Signature'));
+    summary.assertionIssuers = assertions.map(a => {
+      const issuer = Array.from(a.children).find(c => c.localName === 'Issuer');
+      return issuer ? issuer.textContent.trim() : null;
+    });
+    if (assertions.length) summary.assertionIssueInstant = attr(assertions[0], 'IssueInstant');
+
+    // SubjectConfirmationData (bearer) and AuthnStatement session lifetime
+    const confirmationData = find(doc, 'SubjectConfirmationData');
+    if (confirmationData) {
+      summary.subjectConfirmationRecipient = attr(confirmationData, 'Recipient');
+      summary.subjectConfirmationNotBefore = attr(confirmationData, 'NotBefore');
+      summary.subjectConfirmationNotOnOrAfter = attr(confirmationData, 'NotOnOrAfter');
+      summary.subjectConfirmationInResponseTo = attr(confirmationData, 'InResponseTo');
+    }
+    if (authnStmt) summary.sessionNotOnOrAfter = attr(authnStmt, 'SessionNotOnOrAfter');
+
     // RequestedAuthnContext (for Requests)
     const reqAuthnCtx = find(doc, 'RequestedAuthnContext');
     if (reqAuthnCtx) {
@@ -253,6 +374,60 @@ function showSuccess(message, container) {
   setTimeout(() => successEl.remove(), 3000);
 }
 
+// Save generated content through a temporary object URL
+function downloadFile(content, filename, type = 'application/json') {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(url);
+}
+
+// Filename-safe timestamp, e.g. 2024-05-01T10-20-30-000Z
+function fileTimestamp(date = new Date()) {
+  return date.toISOString().replace(/[:.]/g, '-');
+}
+
+// Modal dialog; actions: [{ label, class, onClick }] where onClick returning false keeps it open
+function openDialog(title, body, actions = []) {
+  const overlay = el('div', { class: 'dialog-overlay' });
+  const close = () => overlay.remove();
+
+  const closeBtn = el('button', { class: 'btn btn-ghost dialog-close', type: 'button', title: 'Close' }, '✕');
+  closeBtn.addEventListener('click', close);
+
+  const footer = el('div', { class: 'dialog-actions' });
+  for (const action of actions) {
+    const btn = el('button', { class: `btn ${action.class || ''}`, type: 'button' }, action.label);
+    btn.addEventListener('click', async () => {
+      try {
+        if (action.onClick && (await action.onClick()) === false) return;
+        close();
+      } catch (error) {
+        console.error('[SAMLView] Dialog action failed:', error);
+        showError(error.message || 'Action failed', document.getElementById('messageContainer'));
+      }
+    });
+    footer.appendChild(btn);
+  }
+
+  const dialog = el('div', { class: 'dialog', role: 'dialog' },
+    el('div', { class: 'dialog-header' }, el('h2', {}, title), closeBtn),
+    el('div', { class: 'dialog-body' }, body),
+    actions.length ? footer : null
+  );
+  overlay.appendChild(dialog);
+  overlay.addEventListener('click', (e) => {
+    if (e.target === overlay) close();
+  });
+  document.body.appendChild(overlay);
+  return { close, element: dialog };
+}
+
 // Debounce helper
 function debounce(func, wait) {
   let timeout;
@@ -0,0 +1,128 @@
+// Cross-message correlation: ID/InResponseTo pairs, artifact resolution and logout of login sessions
+
+const CORRELATION_FLAG_LABELS = {
+  unsolicited: 'Unsolicited',
+  unmatched: 'Unknown InResponseTo',
+  orphaned: 'No Response',
+  'multiple-responses': 'Multiple Responses'
+};
+
+const CORRELATION_FLAG_HELP = {
+  unsolicited: 'Response without InResponseTo (IdP-initiated or unsolicited)',
+  unmatched: 'InResponseTo does not match any captured request',
+  orphaned: 'No response to this request was captured',
+  'multiple-responses': 'More than one distinct response answers this request'
+};
+
+function emptyCorrelation() {
+  return {
+    copyOf: null,
+    requestId: null,
+    responseIds: [],
+    artifactId: null,
+    resolveId: null,
+    loginId: null,
+    logoutIds: [],
+    flags: []
+  };
+}
+
+// Returns { byMessage: Map<id, correlation>, links: [{ from, to, kind }] } for the given messages
+function correlateMessages(msgs) {
+  const byMessage = new Map();
+  const links = [];
+  const details = new Map();
+
+  for (const m of msgs) {
+    const correlation = emptyCorrelation();
+    // Response-side copies are the same message as the one the browser delivered
+    if (RESPONSE_SIDE_TRANSPORTS.includes(m.transport) && m.deliveredMessageId) {
+      correlation.copyOf = m.deliveredMessageId;
+    }
+    byMessage.set(m.id, correlation);
+    details.set(m.id, {
+      type: samlMessageType(m),
+      parsed: m.kind === 'SAMLArtifact' ? null : parseSaml(messageXml(m))
+    });
+  }
+
+  const canonical = msgs.filter(m => !byMessage.get(m.id).copyOf);
+
+  // Requests by SAML ID; the first capture of an ID wins
+  const requestsByXmlId = new Map();
+  for (const m of canonical) {
+    const { type, parsed } = details.get(m.id);
+    if (type.direction === 'request' && parsed && parsed.id && !requestsByXmlId.has(parsed.id)) {
+      requestsByXmlId.set(parsed.id, m);
+    }
+  }
+
+  for (const m of canonical) {
+    const { type, parsed } = details.get(m.id);
+    if (type.direction !== 'response' || !parsed || type.type === 'Assertion') continue;
+    const correlation = byMessage.get(m.id);
+    if (!parsed.inResponseTo) {
+      correlation.flags.push('unsolicited');
+      continue;
+    }
+    const request = requestsByXmlId.get(parsed.inResponseTo);
+    if (!request) {
+      correlation.flags.push('unmatched');
+      continue;
+    }
+    correlation.requestId = request.id;
+    byMessage.get(request.id).responseIds.push(m.id);
+    links.push({ from: request.id, to: m.id, kind: 'response' });
+  }
+
+  for (const m of canonical) {
+    const { type } = details.get(m.id);
+    if (type.direction !== 'request') continue;
+    const correlation = byMessage.get(m.id);
+    if (!correlation.responseIds.length) {
+      correlation.flags.push('orphaned');
+    } else {
+      // The same response captured twice (e.g. re-posted) is not a second answer
+      const distinct = new Set(correlation.responseIds.map(id => details.get(id).parsed.id || id));
+      if (distinct.size > 1) correlation.flags.push('multiple-responses');
+    }
+  }
+
+  // Front-channel artifacts and the ArtifactResolve carrying the same artifact value
+  const resolvesByArtifact = new Map();
+  for (const m of canonical) {
+    const { type, parsed } = details.get(m.id);
+    if (type.type === 'ArtifactResolve' && parsed && parsed.artifact && !resolvesByArtifact.has(parsed.artifact)) {
+      resolvesByArtifact.set(parsed.artifact, m);
+    }
+  }
+  for (const m of canonical) {
+    if (m.kind !== 'SAMLArtifact') continue;
+    const resolve = resolvesByArtifact.get((m.base64 || '').trim());
+    if (!resolve) continue;
+    byMessage.get(m.id).resolveId = resolve.id;
+    byMessage.get(resolve.id).artifactId = m.id;
+    links.push({ from: m.id, to: resolve.id, kind: 'artifact' });
+  }
+
+  // LogoutRequests end the login session carrying the same SessionIndex (or NameID)
+  for (const m of canonical) {
+    const { type, parsed } = details.get(m.id);
+    if (type.type !== 'LogoutRequest' || !parsed) continue;
+    const sessionIndexes = parsed.sessionIndexes || [];
+    const login = canonical
+      .filter(r => r.id < m.id && details.get(r.id).type.type === 'Response' && details.get(r.id).parsed)
+      .reverse()
+      .find(r => {
+        const login = details.get(r.id).parsed;
+        if (sessionIndexes.length) return login.sessionIndex && sessionIndexes.includes(login.sessionIndex);
+        return parsed.subject && login.subject === parsed.subject;
+      });
+    if (!login) continue;
+    byMessage.get(m.id).loginId = login.id;
+    byMessage.get(login.id).logoutIds.push(m.id);
+    links.push({ from: login.id, to: m.id, kind: 'session' });
+  }
+
+  return { byMessage, links };
+}
@@ -0,0 +1,288 @@
+// Flow diagram model, drawn by the diagram view and exported as standalone SVG/PNG or as Mermaid and PlantUML source
+
+const DIAGRAM_FORMATS = {
+  svg: { label: 'SVG image', extension: 'svg', type: 'image/svg+xml' },
+  png: { label: 'PNG image', extension: 'png', type: 'image/png' },
+  mermaid: { label: 'Mermaid sequenceDiagram', extension: 'mmd', type: 'text/plain' },
+  plantuml: { label: 'PlantUML', extension: 'puml', type: 'text/plain' }
+};
+
+// Fixed light palette: exports end up in tickets and wikis, not in the themed window
+const DIAGRAM_COLORS = {
+  text: '#212529',
+  muted: '#868e96',
+  border: '#ced4da',
+  header: '#f1f3f5',
+  request: '#1c7ed6',
+  response: '#37b24d',
+  slo: '#ae3ec9',
+  success: '#2f9e44',
+  failure: '#e03131',
+  warning: '#f08c00'
+};
+
+const SVG_MARGIN = 16;
+const SVG_CHAR_WIDTH = 7; // Average width of a 12px sans-serif character
+const SVG_LANE_MIN_WIDTH = 160;
+const SVG_LANE_MAX_WIDTH = 320;
+const SVG_HEADER_HEIGHT = 46;
+const PNG_SCALE = 2;
+
+// What the flow diagram shows, in drawing order; the diagram view and every export format draw this one model:
+// { lanes, correlation, findingsById, stepById, entries: [{ kind: 'note', from, to, text, state }
+//   | { kind: 'section', text, label, detail, state } | { kind: 'navigation', hops }
+//   | { kind: 'message', step, from, to, label, binding, status, direction, slo, message, type, parsed, logout }] }
+function flowDiagram(items, navigations = []) {
+  const types = new Map(items.map(m => [m.id, samlMessageType(m)]));
+  const { roles: logoutRoles } = analyzeLogoutSequences(items, types);
+  const correlation = correlateMessages(items);
+  const findingsById = lintMessages(items, correlation, { toleranceMs: getClockSkewTolerance(), metadata: loadedMetadata(), registry: getEntityRegistry() });
+  const { lanes, steps } = flowLanes(items, correlation, loadedMetadata());
+  const hopsBefore = navigationGroups(items, navigations);
+  const section = ({ label, detail, state }) => ({ kind: 'section', text: detail ? `${label}: ${detail}` : label, label, detail, state: state || null });
+
+  let step = 1;
+  const stepById = new Map();
+  const first = steps.get(items[0].id);
+  const entries = [{ kind: 'note', from: first.from, to: first.from, text: `${step++}. ${flowStartText(types.get(items[0].id), lanes[first.to])}`, state: null }];
+  for (const m of items) {
+    const type = types.get(m.id);
+    const logout = logoutRoles.get(m.id);
+    // Pages and redirects between messages get no step number
+    if (hopsBefore.has(m.id)) entries.push({ kind: 'navigation', hops: hopsBefore.get(m.id) });
+    if (logout && logout.role === 'initiate') entries.push(section(logoutStartSection(logout.sequence)));
+    const parsed = m.kind === 'SAMLArtifact' ? null : parseSaml(messageXml(m));
+    const status = [
+      parsed && parsed.statusCode ? [parsed.statusCode, parsed.subStatusCode].filter(Boolean).map(c => c.split(':').pop()).join(' / ') : null,
+      m.statusCode >= 400 ? `HTTP ${m.statusCode}` : null
+    ].filter(Boolean).join(', ');
+    stepById.set(m.id, step);
+    entries.push({
+      kind: 'message',
+      step: step++,
+      ...steps.get(m.id),
+      label: flowStepLabel(m, type, logout),
+      binding: observedBinding(m) || m.transport,
+      status,
+      direction: type.direction,
+      slo: type.category === 'slo',
+      message: m,
+      type,
+      parsed,
+      logout
+    });
+    if (logout && logout.role === 'final') entries.push(section(logoutEndSection(logout.sequence)));
+  }
+  if (hopsBefore.has(null)) entries.push({ kind: 'navigation', hops: hopsBefore.get(null) });
+  const lastMsg = items[items.length - 1];
+  const outcome = flowOutcome(lastMsg, types.get(lastMsg.id), findingsById);
+  entries.push({ kind: 'note', from: 0, to: lanes.length - 1, text: `${step}. ${outcome.text}`, state: outcome.state });
+  return { lanes, correlation, findingsById, stepById, entries };
+}
+
+function diagramMessageText(entry) {
+  return [`${entry.step}. ${entry.label}`, entry.binding, entry.status].filter(Boolean).join(' · ');
+}
+
+// Mermaid ends statements at ";" and reads "#" as the start of an entity code
+function mermaidText(value) {
+  return String(value).replace(/\s+/g, ' ').replace(/[#;]/g, c => `#${c.charCodeAt(0)};`);
+}
+
+function diagramMermaid(diagram) {
+  const id = (i) => `L${i + 1}`;
+  const lines = ['sequenceDiagram'];
+  diagram.lanes.forEach((lane, i) => lines.push(`    participant ${id(i)} as ${mermaidText(lane.name)}`));
+  const all = `${id(0)},${id(diagram.lanes.length - 1)}`;
+  for (const e of diagram.entries) {
+    if (e.kind === 'message') {
+      lines.push(`    ${id(e.from)}${e.direction === 'response' ? '-->>' : '->>'}${id(e.to)}: ${mermaidText(diagramMessageText(e))}`);
+    } else if (e.kind === 'section') {
+      lines.push(`    Note over ${all}: ${mermaidText(e.text)}`);
+    } else if (e.kind === 'navigation') {
+      lines.push(`    Note over ${all}: ${mermaidText(navigationSummaryText(e.hops))}`);
+    } else {
+      lines.push(`    Note over ${e.from === e.to ? id(e.from) : `${id(e.from)},${id(e.to)}`}: ${mermaidText(e.text)}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+function plantUmlText(value) {
+  return String(value).replace(/\s+/g, ' ').replace(/"/g, '\'');
+}
+
+function diagramPlantUml(diagram) {
+  const id = (i) => `L${i + 1}`;
+  const lines = ['@startuml'];
+  diagram.lanes.forEach((lane, i) => lines.push(`participant "${plantUmlText(lane.name)}" as ${id(i)}`));
+  for (const e of diagram.entries) {
+    if (e.kind === 'message') {
+      lines.push(`${id(e.from)} ${e.direction === 'response' ? '-->' : '->'} ${id(e.to)} : ${plantUmlText(diagramMessageText(e))}`);
+    } else if (e.kind === 'section') {
+      lines.push(`== ${plantUmlText(e.text)} ==`);
+    } else if (e.kind === 'navigation') {
+      lines.push(`...${plantUmlText(navigationSummaryText(e.hops))}...`);
+    } else {
+      lines.push(`note over ${e.from === e.to ? id(e.from) : `${id(e.from)}, ${id(e.to)}`} : ${plantUmlText(e.text)}`);
+    }
+  }
+  lines.push('@enduml');
+  return `${lines.join('\n')}\n`;
+}
+
+// Cut to roughly fit the width; the full text stays available as a tooltip
+function svgText(value, x, y, maxWidth, attributes = '') {
+  const fits = Math.max(4, Math.floor(maxWidth / SVG_CHAR_WIDTH));
+  const shown = value.length > fits ? `${value.slice(0, fits - 1)}…` : value;
+  return `<text x="${x}" y="${y}" ${attributes}>${shown !== value ? `<title>${xmlEscape(value)}</title>` : ''}${xmlEscape(shown)}</text>`;
+}
+
+// { markup, width, height } of a self-contained SVG sequence diagram
+function diagramSvg(diagram) {
+  const c = DIAGRAM_COLORS;
+  const messages = diagram.entries.filter(e => e.kind === 'message');
+  const wanted = Math.max(0, ...messages.map(e => (diagramMessageText(e).length * SVG_CHAR_WIDTH + 24) / Math.max(1, Math.abs(e.to - e.from))));
+  const laneWidth = Math.round(Math.min(SVG_LANE_MAX_WIDTH, Math.max(SVG_LANE_MIN_WIDTH, wanted)));
+  const width = SVG_MARGIN * 2 + diagram.lanes.length * laneWidth;
+  const center = (i) => SVG_MARGIN + laneWidth * (i + 0.5);
+  const stateColor = (state) => c[state] || c.border;
+
+  const rows = [];
+  let y = SVG_MARGIN + SVG_HEADER_HEIGHT + 8;
+  for (const e of diagram.entries) {
+    if (e.kind === 'message') {
+      const color = e.slo ? 'slo' : e.direction === 'response' ? 'response' : 'request';
+      const stroke = `stroke="${c[color]}" stroke-width="1.5" fill="none"${e.direction === 'response' ? ' stroke-dasharray="6 4"' : ''} marker-end="url(#arrow-${color})"`;
+      const text = diagramMessageText(e);
+      if (e.from === e.to) {
+        const x = center(e.from);
+        rows.push(`<path d="M ${x} ${y + 18} h 28 v 14 h -26" ${stroke}/>`);
+        rows.push(svgText(text, x + 34, y + 30, laneWidth - 44));
+        y += 42;
+      } else {
+        const x1 = center(e.from);
+        const x2 = center(e.to);
+        rows.push(`<line x1="${x1}" y1="${y + 22}" x2="${x2 + (x2 > x1 ? -2 : 2)}" y2="${y + 22}" ${stroke}/>`);
+        rows.push(svgText(text, (x1 + x2) / 2, y + 15, Math.abs(x2 - x1) - 12, 'text-anchor="middle"'));
+        y += 32;
+      }
+    } else if (e.kind === 'section') {
+      rows.push(`<rect x="${SVG_MARGIN}" y="${y + 6}" width="${width - SVG_MARGIN * 2}" height="24" fill="${c.header}" stroke="${stateColor(e.state)}" stroke-dasharray="4 3"/>`);
+      rows.push(svgText(e.text, SVG_MARGIN + 8, y + 22, width - SVG_MARGIN * 2 - 16, `font-weight="bold" fill="${e.state ? stateColor(e.state) : c.slo}"`));
+      y += 36;
+    } else if (e.kind === 'navigation') {
+      rows.push(svgText(navigationSummaryText(e.hops), SVG_MARGIN + 8, y + 18, width - SVG_MARGIN * 2 - 16, `font-size="11" font-style="italic" fill="${c.muted}"`));
+      y += 26;
+    } else {
+      const left = center(Math.min(e.from, e.to)) - laneWidth / 2 + 8;
+      const noteWidth = (Math.abs(e.to - e.from) + 1) * laneWidth - 16;
+      rows.push(`<rect x="${left}" y="${y + 6}" width="${noteWidth}" height="26" rx="4" fill="#ffffff" stroke="${stateColor(e.state)}"${e.state ? ' stroke-width="2"' : ' stroke-dasharray="4 3"'}/>`);
+      rows.push(svgText(e.text, left + 8, y + 23, noteWidth - 16, 'font-weight="bold"'));
+      y += 38;
+    }
+  }
+  const height = y + SVG_MARGIN;
+
+  const markers = ['request', 'response', 'slo'].map(color => `<marker id="arrow-${color}" viewBox="0 0 8 8" refX="8" refY="4" markerWidth="8" markerHeight="8" orient="auto"><path d="M 0 0 L 8 4 L 0 8 z" fill="${c[color]}"/></marker>`);
+  const lanes = diagram.lanes.map((lane, i) => {
+    const x = center(i);
+    const detail = laneDetail(lane);
+    return [
+      `<line x1="${x}" y1="${SVG_MARGIN + SVG_HEADER_HEIGHT}" x2="${x}" y2="${height - SVG_MARGIN}" stroke="${c.border}" stroke-dasharray="4 4"/>`,
+      `<rect x="${x - laneWidth / 2 + 8}" y="${SVG_MARGIN}" width="${laneWidth - 16}" height="${SVG_HEADER_HEIGHT}" rx="6" fill="${c.header}" stroke="${c.border}"/>`,
+      svgText(lane.name, x, SVG_MARGIN + (detail ? 20 : 28), laneWidth - 32, 'text-anchor="middle" font-weight="bold"'),
+      detail ? svgText(detail, x, SVG_MARGIN + 36, laneWidth - 32, `text-anchor="middle" font-size="10" fill="${c.muted}"`) : ''
+    ].join('');
+  });
+
+  const markup = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="Helvetica, Arial, sans-serif" font-size="12" fill="${c.text}">`,
+    `<defs>${markers.join('')}</defs>`,
+    `<rect width="${width}" height="${height}" fill="#ffffff"/>`,
+    ...lanes,
+    ...rows,
+    '</svg>'
+  ].join('\n');
+  return { markup, width, height };
+}
+
+// Rasterize through an image and a canvas at twice the size so text stays sharp
+async function diagramPng({ markup, width, height }) {
+  const url = URL.createObjectURL(new Blob([markup], { type: 'image/svg+xml' }));
+  try {
+    const image = new Image();
+    await new Promise((resolve, reject) => {
+      image.onload = resolve;
+      image.onerror = () => reject(new Error('The diagram could not be drawn as an image'));
+      image.src = url;
+    });
+    const canvas = document.createElement('canvas');
+    canvas.width = width * PNG_SCALE;
+    canvas.height = height * PNG_SCALE;
+    const context = canvas.getContext('2d');
+    context.scale(PNG_SCALE, PNG_SCALE);
+    context.drawImage(image, 0, 0, width, height);
+    return await new Promise((resolve, reject) => canvas.toBlob(blob => blob ? resolve(blob) : reject(new Error('The diagram could not be encoded as PNG')), 'image/png'));
+  } finally {
+    URL.revokeObjectURL(url);
+  }
+}
+
+function openDiagramExportDialog(items, navigations = []) {
+  const messageContainer = document.getElementById('messageContainer');
+  const diagram = flowDiagram(items, navigations);
+  const svg = diagramSvg(diagram);
+  const sources = { svg: svg.markup, mermaid: diagramMermaid(diagram), plantuml: diagramPlantUml(diagram) };
+
+  const formatSelect = el('select', { class: 'capture-status', title: 'Export format' },
+    ...Object.entries(DIAGRAM_FORMATS).map(([value, format]) => el('option', { value }, format.label))
+  );
+  const preview = el('div', { class: 'diagram-preview' });
+  const renderPreview = () => {
+    preview.innerHTML = '';
+    const format = formatSelect.value;
+    const image = format === 'svg' || format === 'png';
+    preview.classList.toggle('diagram-preview-image', image);
+    if (image) {
+      preview.appendChild(el('img', { src: `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg.markup)}`, alt: 'Diagram preview' }));
+    } else {
+      const source = el('textarea', { class: 'dialog-textarea', rows: '14', readonly: true, spellcheck: 'false' });
+      source.value = sources[format];
+      preview.appendChild(source);
+    }
+  };
+  formatSelect.addEventListener('change', renderPreview);
+  renderPreview();
+
+  const body = el('div', { class: 'dialog-form' },
+    el('p', { class: 'dialog-help' }, `${diagram.lanes.length} lane${diagram.lanes.length === 1 ? '' : 's'} and ${items.length} message${items.length === 1 ? '' : 's'}, as currently filtered. Each arrow is labelled with the step, message kind, binding and status; recorded pages and redirects in between are summarized on one line.`),
+    formatSelect,
+    preview
+  );
+  openDialog('Export Diagram', body, [
+    {
+      label: 'Copy',
+      class: 'btn-ghost',
+      onClick: () => {
+        const format = formatSelect.value;
+        if (!sources[format]) {
+          showError('PNG images can only be downloaded', messageContainer);
+          return false;
+        }
+        copyToClipboard(sources[format], `${DIAGRAM_FORMATS[format].label} source`);
+      }
+    },
+    {
+      label: 'Download',
+      class: 'btn-primary',
+      onClick: async () => {
+        const format = DIAGRAM_FORMATS[formatSelect.value];
+        const content = formatSelect.value === 'png' ? await diagramPng(svg) : sources[formatSelect.value];
+        downloadFile(content, `SAMLView_Diagram_${fileTimestamp()}.${format.extension}`, format.type);
+        showSuccess(`Diagram exported as ${format.label}`, messageContainer);
+      }
+    },
+    { label: 'Close', class: 'btn-ghost' }
+  ]);
+}
@@ -0,0 +1,360 @@
+// Compare view: two messages (flattened XML and parsed summaries) or two captures aligned step by step
+
+// Differ on every login; hidden unless "show volatile fields" is on
+const VOLATILE_ATTRIBUTES = ['ID', 'IssueInstant', 'InResponseTo', 'NotBefore', 'NotOnOrAfter', 'AuthnInstant', 'SessionNotOnOrAfter', 'SessionIndex', 'URI'];
+const VOLATILE_ELEMENTS = ['DigestValue', 'SignatureValue', 'CipherValue'];
+
+const SEMANTIC_DIFF_FIELDS = [
+  ['root', 'Type'],
+  ['issuer', 'Issuer'],
+  ['destination', 'Destination'],
+  ['acs', 'ACS URL'],
+  ['protocolBinding', 'Protocol Binding'],
+  ['nameIDPolicyFormat', 'NameID Policy Format'],
+  ['subject', 'NameID'],
+  ['nameIDFormat', 'NameID Format'],
+  ['audience', 'Audience'],
+  ['authnContextClassRef', 'AuthnContext'],
+  ['authenticatingAuthority', 'Authenticating Authority'],
+  ['statusCode', 'Status Code'],
+  ['subStatusCode', 'Sub-Status Code'],
+  ['statusMessage', 'Status Message'],
+  ['messageSigned', 'Message Signed'],
+  ['assertionsSigned', 'Assertions Signed'],
+  ['encryptedAssertionCount', 'Encrypted Assertions']
+];
+
+const DIFF_STEP_LABELS = {
+  same: 'Same',
+  differs: 'Differs',
+  diverges: 'Diverges',
+  'left-only': 'Only left',
+  'right-only': 'Only right'
+};
+
+let diffSelection = null; // { kind: 'messages' | 'captures', left: { label, ... }, right: { label, ... } }
+let diffShowVolatile = false;
+
+// Path segment of an element: Name attribute for Attributes, otherwise position among same-named siblings
+function diffPathSegment(elm, counts) {
+  const name = elm.getAttribute('Name');
+  if (name !== null) return `${elm.localName}[@Name="${name}"]`;
+  const n = (counts.get(elm.localName) || 0) + 1;
+  counts.set(elm.localName, n);
+  return n === 1 ? elm.localName : `${elm.localName}[${n}]`;
+}
+
+// Map<path, { value, volatile }> of every attribute and text value in the document
+function flattenXml(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) return null;
+  const entries = new Map();
+
+  const walk = (node, path) => {
+    for (const a of Array.from(node.attributes)) {
+      if (a.name === 'xmlns' || a.prefix === 'xmlns') continue;
+      entries.set(`${path}/@${a.localName}`, { value: a.value, volatile: VOLATILE_ATTRIBUTES.includes(a.localName) });
+    }
+    const counts = new Map();
+    let text = '';
+    for (const child of Array.from(node.childNodes)) {
+      if (child.nodeType === Node.ELEMENT_NODE) walk(child, `${path}/${diffPathSegment(child, counts)}`);
+      else if (child.nodeType === Node.TEXT_NODE || child.nodeType === Node.CDATA_SECTION_NODE) text += child.nodeValue;
+    }
+    text = text.trim();
+    if (text) entries.set(`${path}/text()`, { value: text, volatile: VOLATILE_ELEMENTS.includes(node.localName) });
+  };
+  walk(doc.documentElement, `/${doc.documentElement.localName}`);
+  return entries;
+}
+
+// Rows for paths whose values differ, in document order of the left side then the right
+function structuralDiff(leftXml, rightXml, showVolatile) {
+  const left = flattenXml(leftXml) || new Map();
+  const right = flattenXml(rightXml) || new Map();
+  const rows = [];
+  let hiddenVolatile = 0;
+  const paths = [...left.keys(), ...Array.from(right.keys()).filter(p => !left.has(p))];
+  for (const path of paths) {
+    const l = left.get(path);
+    const r = right.get(path);
+    if (l && r && l.value === r.value) continue;
+    if ((l && l.volatile) || (r && r.volatile)) {
+      if (!showVolatile) {
+        hiddenVolatile++;
+        continue;
+      }
+    }
+    rows.push({ path, change: !l ? 'added' : (!r ? 'removed' : 'changed'), left: l ? l.value : null, right: r ? r.value : null });
+  }
+  return { rows, hiddenVolatile };
+}
+
+function semanticValue(value) {
+  if (value === null || value === undefined || value === '') return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value === 'boolean') return value ? 'yes' : 'no';
+  return String(value);
+}
+
+// Differences between two parseSaml summaries: fixed fields and attributes by name
+function semanticDiff(pl, pr) {
+  const fields = [];
+  for (const [key, label] of SEMANTIC_DIFF_FIELDS) {
+    const left = semanticValue(pl && pl[key]);
+    const right = semanticValue(pr && pr[key]);
+    if (left !== right) fields.push({ label, left, right });
+  }
+
+  const attributeMap = (p) => new Map(((p && p.attributes) || []).map(a => [a.name, a.values.join(', ')]));
+  const left = attributeMap(pl);
+  const right = attributeMap(pr);
+  const attributes = [];
+  for (const name of new Set([...left.keys(), ...right.keys()])) {
+    if (!right.has(name)) attributes.push({ name, change: 'removed', left: left.get(name), right: null });
+    else if (!left.has(name)) attributes.push({ name, change: 'added', left: null, right: right.get(name) });
+    else if (left.get(name) !== right.get(name)) attributes.push({ name, change: 'changed', left: left.get(name), right: right.get(name) });
+  }
+  return { fields, attributes };
+}
+
+function diffMessages(lm, rm, showVolatile) {
+  const artifact = lm.kind === 'SAMLArtifact' || rm.kind === 'SAMLArtifact';
+  return {
+    semantic: artifact ? { fields: [], attributes: [] } : semanticDiff(parseSaml(messageXml(lm)), parseSaml(messageXml(rm))),
+    structural: structuralDiff(messageXml(lm), messageXml(rm), showVolatile)
+  };
+}
+
+// Messages that make up the flow; response-side copies the browser delivered are duplicates
+function diffSteps(msgs) {
+  return msgs.filter(m => !(RESPONSE_SIDE_TRANSPORTS.includes(m.transport) && m.deliveredMessageId));
+}
+
+function diffStepKey(m) {
+  return `${samlMessageType(m).type}|${observedBinding(m) || m.transport}`;
+}
+
+// Longest common subsequence of step keys; unmatched steps become one-sided rows
+function alignCaptures(leftMsgs, rightMsgs) {
+  const a = diffSteps(leftMsgs);
+  const b = diffSteps(rightMsgs);
+  const ka = a.map(diffStepKey);
+  const kb = b.map(diffStepKey);
+  const lcs = Array.from({ length: a.length + 1 }, () => new Uint16Array(b.length + 1));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = ka[i] === kb[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const pairs = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && ka[i] === kb[j]) pairs.push({ left: a[i++], right: b[j++] });
+    else if (j >= b.length || (i < a.length && lcs[i + 1][j] >= lcs[i][j + 1])) pairs.push({ left: a[i++], right: null });
+    else pairs.push({ left: null, right: b[j++] });
+  }
+
+  for (const pair of pairs) {
+    if (!pair.left || !pair.right) {
+      pair.status = pair.left ? 'left-only' : 'right-only';
+      continue;
+    }
+    const diff = diffMessages(pair.left, pair.right, false);
+    const statusChanged = diff.semantic.fields.some(f => ['Status Code', 'Sub-Status Code'].includes(f.label));
+    const differs = diff.semantic.fields.length || diff.semantic.attributes.length || diff.structural.rows.length;
+    pair.status = statusChanged ? 'diverges' : (differs ? 'differs' : 'same');
+  }
+  return pairs;
+}
+
+function diffValueCell(value) {
+  return el('td', { class: value === null ? 'diff-missing' : 'diff-value' }, value === null ? '—' : value);
+}
+
+function renderMessageDiff(lm, rm) {
+  const { semantic, structural } = diffMessages(lm, rm, diffShowVolatile);
+  const box = el('div', { class: 'diff-message' });
+
+  const semanticRows = [
+    ...semantic.fields.map(f => el('tr', { class: 'diff-changed' }, el('td', {}, f.label), diffValueCell(f.left || null), diffValueCell(f.right || null))),
+    ...semantic.attributes.map(a => el('tr', { class: `diff-${a.change}` }, el('td', {}, `Attribute ${a.name}`), diffValueCell(a.left), diffValueCell(a.right)))
+  ];
+  box.appendChild(el('h3', {}, 'Summary'));
+  box.appendChild(semanticRows.length
+    ? el('table', { class: 'diff-table' }, el('tbody', {}, ...semanticRows))
+    : el('p', { class: 'diff-none' }, 'Parsed summaries are identical.'));
+
+  box.appendChild(el('h3', {}, 'XML'));
+  box.appendChild(structural.rows.length
+    ? el('table', { class: 'diff-table' }, el('tbody', {}, ...structural.rows.map(r =>
+      el('tr', { class: `diff-${r.change}` }, el('td', { class: 'diff-path' }, r.path), diffValueCell(r.left), diffValueCell(r.right))
+    )))
+    : el('p', { class: 'diff-none' }, 'No structural differences.'));
+  if (structural.hiddenVolatile) {
+    box.appendChild(el('p', { class: 'diff-none' }, `${structural.hiddenVolatile} difference${structural.hiddenVolatile === 1 ? '' : 's'} in volatile fields hidden.`));
+  }
+  return box;
+}
+
+function diffStepText(m) {
+  if (!m) return '—';
+  const type = samlMessageType(m);
+  const parsed = m.kind === 'SAMLArtifact' ? null : parseSaml(messageXml(m));
+  const status = parsed && parsed.statusCode ? ` · ${parsed.statusCode.split(':').pop()}` : '';
+  return `#${m.id} ${type.label} · ${observedBinding(m) || m.transport} · ${urlHost(m.url) || m.url}${status}`;
+}
+
+function renderCaptureDiff(leftMsgs, rightMsgs) {
+  const pairs = alignCaptures(leftMsgs, rightMsgs);
+  const firstDivergence = pairs.findIndex(p => p.status !== 'same' && p.status !== 'differs');
+  const table = el('table', { class: 'diff-table diff-steps' },
+    el('thead', {}, el('tr', {}, el('th', {}, 'Step'), el('th', {}, 'Left'), el('th', {}, 'Right'), el('th', {}, '')))
+  );
+  const tbody = el('tbody');
+  pairs.forEach((pair, index) => {
+    const row = el('tr', { class: `diff-step diff-step-${pair.status}${index === firstDivergence ? ' diff-first-divergence' : ''}` },
+      el('td', {}, String(index + 1)),
+      el('td', {}, diffStepText(pair.left)),
+      el('td', {}, diffStepText(pair.right)),
+      el('td', {}, el('span', { class: `badge diff-badge-${pair.status}` }, DIFF_STEP_LABELS[pair.status]))
+    );
+    tbody.appendChild(row);
+    if (!pair.left || !pair.right) return;
+    // Message diff of a paired step opens below it
+    const detail = el('tr', { class: 'diff-step-detail', style: 'display:none;' }, el('td', { colspan: '4' }));
+    row.classList.add('diff-step-expandable');
+    row.addEventListener('click', () => {
+      if (!detail.firstChild.firstChild) detail.firstChild.appendChild(renderMessageDiff(pair.left, pair.right));
+      detail.style.display = detail.style.display === 'none' ? '' : 'none';
+    });
+    tbody.appendChild(detail);
+  });
+  table.appendChild(tbody);
+
+  const summary = firstDivergence >= 0
+    ? `Flows diverge at step ${firstDivergence + 1}.`
+    : 'Flows have the same steps and outcomes.';
+  return el('div', {}, el('p', { class: 'diff-summary' }, `${summary} Click a step to compare its messages.`), table);
+}
+
+function renderDiff() {
+  const container = document.getElementById('diffContainer');
+  if (!container) return;
+  container.innerHTML = '';
+
+  const backBtn = el('button', { class: 'btn btn-ghost', type: 'button' }, '← Back to Messages');
+  backBtn.addEventListener('click', () => setView('list'));
+  const volatileToggle = el('input', { type: 'checkbox', id: 'diffShowVolatile' });
+  volatileToggle.checked = diffShowVolatile;
+  volatileToggle.addEventListener('change', () => {
+    diffShowVolatile = volatileToggle.checked;
+    renderDiff();
+  });
+  container.appendChild(el('div', { class: 'library-header' },
+    el('h2', {}, diffSelection && diffSelection.kind === 'captures' ? 'Compare Captures' : 'Compare Messages'),
+    el('label', { class: 'library-count', for: 'diffShowVolatile' }, volatileToggle, ' Show volatile fields (IDs, timestamps, digests, signature values)'),
+    backBtn
+  ));
+
+  if (!diffSelection) {
+    container.appendChild(el('p', { class: 'diff-none' }, 'Nothing to compare.'));
+    return;
+  }
+  container.appendChild(el('div', { class: 'diff-sides' },
+    el('div', { class: 'diff-side' }, el('span', { class: 'badge diff-badge-left' }, 'Left'), ` ${diffSelection.left.label}`),
+    el('div', { class: 'diff-side' }, el('span', { class: 'badge diff-badge-right' }, 'Right'), ` ${diffSelection.right.label}`)
+  ));
+  container.appendChild(diffSelection.kind === 'captures'
+    ? renderCaptureDiff(diffSelection.left.messages, diffSelection.right.messages)
+    : renderMessageDiff(diffSelection.left.message, diffSelection.right.message));
+}
+
+// Current session, a library capture or an exported file; read with loadDiffSide
+function renderCaptureSourcePicker(name, captures, defaultIndex) {
+  const select = el('select', { class: 'capture-status' },
+    el('option', { value: 'current' }, 'Current session'),
+    ...captures.map(c => el('option', { value: String(c.id) }, `${captureTitle(c)} — ${formatCaptureDate(c.createdAt)}`)),
+    el('option', { value: 'file' }, 'Exported file…')
+  );
+  select.selectedIndex = Math.min(defaultIndex, captures.length + 1);
+  const fileInput = el('input', { type: 'file', accept: '.json', style: 'display:none;' });
+  select.addEventListener('change', () => {
+    fileInput.style.display = select.value === 'file' ? '' : 'none';
+  });
+  return { select, fileInput, row: el('div', { class: 'dialog-form' }, el('strong', {}, name), select, fileInput) };
+}
+
+async function loadDiffSide(source, fileInput) {
+  if (source === 'current') {
+    const { messages: msgs, navigations } = await fetchSession();
+    msgs.sort((a, b) => a.id - b.id);
+    await attachDecryptions(msgs);
+    return { label: 'Current session', messages: msgs, navigations };
+  }
+  if (source === 'file') {
+    const file = fileInput.files && fileInput.files[0];
+    if (!file) throw new Error('Choose an exported capture file');
+    const data = JSON.parse(await file.text());
+    if (!data || !Array.isArray(data.messages)) throw new Error(`${file.name} is not a SAMLView export`);
+    const msgs = data.messages.slice().sort((a, b) => a.id - b.id);
+    await attachDecryptions(msgs);
+    return { label: file.name, messages: msgs, navigations: (data.capture && data.capture.navigations) || [] };
+  }
+  const stored = await browser.runtime.sendMessage({ type: 'getCapture', captureId: Number(source) });
+  if (!stored) throw new Error('Capture not found');
+  // Decrypted like the current session so both sides compare the same XML
+  await attachDecryptions(stored.messages);
+  return { label: captureTitle(stored.capture), messages: stored.messages, navigations: stored.capture.navigations || [] };
+}
+
+// Two checked messages are compared directly; otherwise pick two captures
+async function openCompare() {
+  const messageContainer = document.getElementById('messageContainer');
+  const checkedIds = Array.from(document.querySelectorAll('#list input.sel:checked')).map(cb => Number(cb.id.replace('msg-', '')));
+  if (checkedIds.length === 2) {
+    const msgs = await fetchMessages();
+    await attachDecryptions(msgs);
+    const [left, right] = checkedIds.map(id => msgs.find(m => m.id === id));
+    if (!left || !right) {
+      showError('Selected messages are no longer in the session', messageContainer);
+      return;
+    }
+    diffSelection = {
+      kind: 'messages',
+      left: { label: diffStepText(left), message: left },
+      right: { label: diffStepText(right), message: right }
+    };
+    await setView('diff');
+    return;
+  }
+
+  const { captures } = await browser.runtime.sendMessage({ type: 'listCaptures' });
+  const left = renderCaptureSourcePicker('Left', captures, 0);
+  const right = renderCaptureSourcePicker('Right', captures, 1);
+  const body = el('div', { class: 'dialog-form' },
+    el('p', { class: 'dialog-help' }, 'Select exactly two messages in the list to compare single messages instead.'),
+    left.row,
+    right.row
+  );
+  openDialog('Compare Captures', body, [
+    { label: 'Cancel', class: 'btn-ghost' },
+    {
+      label: 'Compare',
+      class: 'btn-primary',
+      onClick: async () => {
+        try {
+          const [l, r] = await Promise.all([loadDiffSide(left.select.value, left.fileInput), loadDiffSide(right.select.value, right.fileInput)]);
+          diffSelection = { kind: 'captures', left: l, right: r };
+        } catch (error) {
+          console.error('[SAMLView] Compare failed:', error);
+          showError(error.message || 'Could not load captures', messageContainer);
+          return false;
+        }
+        await setView('diff');
+      }
+    }
+  ]);
+}
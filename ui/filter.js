@@ -0,0 +1,109 @@
+// Message filter: free text over the XML plus field:value terms, e.g. "status:!Success attr:mail=*@example.com"
+
+// Current query from the filter bar; empty means every message is shown
+let messageFilter = '';
+
+// Values a field term is matched against; any one matching is enough
+const FILTER_FIELDS = {
+  kind: (m) => [samlMessageType(m).type, m.kind],
+  transport: (m) => [m.transport, m.method],
+  issuer: (m, parsed) => [parsed && parsed.issuer],
+  host: (m, parsed) => [parsed && urlHost(parsed.destination), urlHost(m.url)],
+  status: (m, parsed) => parsed ? [parsed.statusCode, parsed.subStatusCode].filter(v => v).flatMap(v => [v, v.split(':').pop()]) : [],
+  http: (m) => [m.statusCode, m.deliveredBy && m.deliveredBy.statusCode],
+  tab: (m) => [m.tabId],
+  relay: (m) => [m.relayState]
+};
+
+const FILTER_FIELD_ALIASES = { dest: 'host', destination: 'host', relaystate: 'relay', type: 'kind' };
+
+const FILTER_HELP = [
+  'Words match the message XML (including decrypted assertions).',
+  'Fields: kind: transport: issuer: host: status: http: tab: relay: attr:name=value',
+  'Prefix a value with ! to negate it, use * as a wildcard and quotes for spaces.',
+  'Examples: status:!Success  kind:Response  http:4*  relay:*  relay:!*  attr:mail=*@example.com'
+].join('\n');
+
+// Split on whitespace, keeping double-quoted runs together
+function tokenizeFilter(query) {
+  const tokens = [];
+  const re = /(?:[^\s"]+|"[^"]*"?)+/g;
+  let match;
+  while ((match = re.exec(query)) !== null) {
+    tokens.push(match[0].replace(/"/g, ''));
+  }
+  return tokens;
+}
+
+function parseFilterQuery(query) {
+  const terms = [];
+  for (const token of tokenizeFilter(query || '')) {
+    const colon = token.indexOf(':');
+    const name = colon > 0 ? token.slice(0, colon).toLowerCase() : null;
+    const field = name === 'attr' ? 'attr' : (FILTER_FIELD_ALIASES[name] || name);
+    // Unknown prefixes (urn:..., https://...) are plain text
+    if (field && (field === 'attr' || FILTER_FIELDS[field]) && colon < token.length - 1) {
+      let value = token.slice(colon + 1);
+      const negate = value.startsWith('!');
+      if (negate) value = value.slice(1);
+      if (field === 'attr') {
+        const eq = value.indexOf('=');
+        terms.push({ field, negate, name: eq < 0 ? value : value.slice(0, eq), value: eq < 0 ? null : value.slice(eq + 1) });
+      } else {
+        terms.push({ field, negate, value });
+      }
+      continue;
+    }
+    const negate = token.length > 1 && token.startsWith('!');
+    terms.push({ field: null, negate, value: negate ? token.slice(1) : token });
+  }
+  return terms;
+}
+
+// Field values with * match as a whole-value wildcard, others as a case-insensitive substring.
+// Free text is never anchored, since it runs over the whole document.
+function filterPattern(value, anchored = true) {
+  const v = value.toLowerCase();
+  if (!v.includes('*')) return (s) => s.toLowerCase().includes(v);
+  const source = v.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+  const re = new RegExp(anchored ? `^${source}$` : source, 'is');
+  return (s) => re.test(s);
+}
+
+function filterTermMatches(term, m, parsed) {
+  if (!term.field) {
+    const test = filterPattern(term.value, false);
+    return [m.xml, m.decryption && m.decryption.xml].some(xml => xml && test(xml));
+  }
+  if (term.field === 'attr') {
+    const attributes = parsed && parsed.attributes ? parsed.attributes : [];
+    const nameTest = filterPattern(term.name);
+    const valueTest = term.value === null ? null : filterPattern(term.value);
+    return attributes.some(a => (nameTest(a.name) || (a.friendlyName && nameTest(a.friendlyName))) && (!valueTest || a.values.some(valueTest)));
+  }
+  const test = filterPattern(term.value);
+  return FILTER_FIELDS[term.field](m, parsed)
+    .filter(v => v !== null && v !== undefined && v !== '')
+    .some(v => test(String(v)));
+}
+
+function messageMatchesFilter(m, terms) {
+  const parsed = m.kind === 'SAMLArtifact' ? null : parseSaml(messageXml(m));
+  return terms.every(term => filterTermMatches(term, m, parsed) !== term.negate);
+}
+
+function filterMessages(msgs, query) {
+  const terms = parseFilterQuery(query);
+  if (!terms.length) return msgs;
+  return msgs.filter(m => messageMatchesFilter(m, terms));
+}
+
+function emptyMessagesText() {
+  return parseFilterQuery(messageFilter).length ? 'No messages match the filter.' : 'No messages captured yet.';
+}
+
+function updateFilterCount(shown, total) {
+  const count = document.getElementById('filterCount');
+  if (!count) return;
+  count.textContent = parseFilterQuery(messageFilter).length ? `${shown} of ${total}` : '';
+}
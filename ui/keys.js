@@ -0,0 +1,166 @@
+// SP private key loading (PKCS#8 PEM/DER, encrypted PKCS#8 and PKCS#12)
+// Keys only ever live in memory of the tracer window.
+
+const OID_PKCS7_DATA = '1.2.840.113549.1.7.1';
+const OID_PKCS7_ENCRYPTED_DATA = '1.2.840.113549.1.7.6';
+const OID_PKCS12_KEY_BAG = '1.2.840.113549.1.12.10.1.1';
+const OID_PKCS12_SHROUDED_KEY_BAG = '1.2.840.113549.1.12.10.1.2';
+const OID_PBES2 = '1.2.840.113549.1.5.13';
+const OID_PBKDF2 = '1.2.840.113549.1.5.12';
+
+const PBKDF2_PRFS = {
+  '1.2.840.113549.2.7': 'SHA-1',
+  '1.2.840.113549.2.9': 'SHA-256',
+  '1.2.840.113549.2.10': 'SHA-384',
+  '1.2.840.113549.2.11': 'SHA-512'
+};
+
+const PBES2_CIPHERS = {
+  '2.16.840.1.101.3.4.1.2': 16, // aes128-CBC
+  '2.16.840.1.101.3.4.1.22': 24, // aes192-CBC
+  '2.16.840.1.101.3.4.1.42': 32 // aes256-CBC
+};
+
+const LEGACY_PKCS12_PBE_PREFIX = '1.2.840.113549.1.12.1.';
+
+// Concatenated content of an OCTET STRING that may be BER-constructed
+function octetStringBytes(node) {
+  if (!node.constructed) return derContent(node);
+  return concatBytes(...node.children.map(octetStringBytes));
+}
+
+// Decrypt a PBES2 (PBKDF2 + AES-CBC) protected blob
+async function decryptPBES2(algorithmId, encrypted, password) {
+  const algOid = derOID(algorithmId.children[0]);
+  if (algOid.startsWith(LEGACY_PKCS12_PBE_PREFIX)) {
+    throw new Error('Legacy PKCS#12 encryption (3DES/RC2) is not supported; re-export with AES-256-CBC');
+  }
+  if (algOid !== OID_PBES2) throw new Error(`Unsupported key encryption ${algOid}`);
+
+  const [kdf, scheme] = algorithmId.children[1].children;
+  if (derOID(kdf.children[0]) !== OID_PBKDF2) throw new Error('Unsupported PBES2 key derivation');
+  const kdfParams = kdf.children[1].children;
+  const salt = derContent(kdfParams[0]);
+  const iterations = Number(derBigInt(kdfParams[1]));
+  const prfNode = kdfParams.find(n => n.tag === ASN1_TAG.SEQUENCE);
+  const hash = prfNode ? PBKDF2_PRFS[derOID(prfNode.children[0])] : 'SHA-1';
+  if (!hash) throw new Error('Unsupported PBKDF2 PRF');
+
+  const keyLength = PBES2_CIPHERS[derOID(scheme.children[0])];
+  if (!keyLength) throw new Error('Unsupported PBES2 cipher');
+  const iv = derContent(scheme.children[1]);
+
+  const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(password || ''), 'PBKDF2', false, ['deriveKey']);
+  const aesKey = await crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations, hash },
+    baseKey,
+    { name: 'AES-CBC', length: keyLength * 8 },
+    false,
+    ['decrypt']
+  );
+  try {
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, aesKey, encrypted));
+  } catch (e) {
+    throw new Error('Wrong password or corrupted key');
+  }
+}
+
+async function decryptEncryptedPrivateKeyInfo(node, password) {
+  const [algorithmId, data] = node.children;
+  return decryptPBES2(algorithmId, derContent(data), password);
+}
+
+// Wrap a PKCS#1 RSAPrivateKey into PKCS#8 PrivateKeyInfo
+function wrapPkcs1RsaKey(pkcs1) {
+  const version = derEncode(0x02, new Uint8Array([0]));
+  const rsaOid = derEncode(0x06, new Uint8Array([0x2a, 0x86, 0x48, 0x86, 0xf7, 0x0d, 0x01, 0x01, 0x01]));
+  const algId = derEncode(0x30, concatBytes(rsaOid, new Uint8Array([0x05, 0x00])));
+  return derEncode(0x30, concatBytes(version, algId, derEncode(0x04, pkcs1)));
+}
+
+// Find the private key inside a PKCS#12 (PFX) file
+async function extractPkcs12Key(pfx, password) {
+  const authSafe = pfx.children[1];
+  if (derOID(authSafe.children[0]) !== OID_PKCS7_DATA) throw new Error('Unsupported PKCS#12 (public-key integrity mode)');
+  const safes = parseDER(octetStringBytes(authSafe.children[1].children[0]));
+  if (!safes) throw new Error('Malformed PKCS#12 AuthenticatedSafe');
+
+  for (const contentInfo of safes.children) {
+    const type = derOID(contentInfo.children[0]);
+    let safeContents = null;
+    if (type === OID_PKCS7_DATA) {
+      safeContents = parseDER(octetStringBytes(contentInfo.children[1].children[0]));
+    } else if (type === OID_PKCS7_ENCRYPTED_DATA) {
+      // Certificate bags are often protected with legacy RC2; they are not needed for decryption
+      const encInfo = contentInfo.children[1].children[0].children[1];
+      try {
+        safeContents = parseDER(await decryptPBES2(encInfo.children[1], octetStringBytes(encInfo.children[2]), password));
+      } catch (e) {
+        console.warn('[SAMLView] Skipping encrypted PKCS#12 content:', e.message);
+        continue;
+      }
+    }
+    if (!safeContents || !safeContents.children) continue;
+
+    for (const bag of safeContents.children) {
+      const bagId = derOID(bag.children[0]);
+      const value = bag.children[1].children[0];
+      if (bagId === OID_PKCS12_KEY_BAG) return derRaw(value);
+      if (bagId === OID_PKCS12_SHROUDED_KEY_BAG) return decryptEncryptedPrivateKeyInfo(value, password);
+    }
+  }
+  throw new Error('No private key found in PKCS#12 file');
+}
+
+// Read RSA private key components from PKCS#8 PrivateKeyInfo
+function readRsaPrivateKey(pkcs8) {
+  const info = parseDER(pkcs8);
+  if (!info || !info.children || info.children.length < 3) throw new Error('Not a PKCS#8 private key');
+  if (derOID(info.children[1].children[0]) !== OID_RSA_ENCRYPTION) {
+    throw new Error('Only RSA keys can be used for key transport');
+  }
+  const rsa = parseDER(derContent(info.children[2]));
+  const [, n, e, d, p, q, dp, dq, qi] = rsa.children.map(derBigInt);
+  return { n, e, d, p, q, dp, dq, qi };
+}
+
+// Load an SP private key from PEM text or binary file contents
+async function loadPrivateKey(input, password) {
+  let pkcs8 = null;
+  let format = null;
+  const asText = typeof input === 'string' ? input : bytesToUtf8(input);
+
+  if (asText && asText.includes('-----BEGIN')) {
+    const block = asText.match(/-----BEGIN ([A-Z0-9 ]+)-----[\s\S]*?-----END \1-----/);
+    if (!block) throw new Error('Malformed PEM');
+    const der = pemToDer(block[0]);
+    if (!der) throw new Error('Malformed PEM base64');
+    if (block[1] === 'PRIVATE KEY') {
+      pkcs8 = der;
+      format = 'PKCS#8';
+    } else if (block[1] === 'ENCRYPTED PRIVATE KEY') {
+      pkcs8 = await decryptEncryptedPrivateKeyInfo(parseDER(der), password);
+      format = 'Encrypted PKCS#8';
+    } else if (block[1] === 'RSA PRIVATE KEY') {
+      pkcs8 = wrapPkcs1RsaKey(der);
+      format = 'PKCS#1';
+    } else {
+      throw new Error(`Unsupported PEM type: ${block[1]}`);
+    }
+  } else {
+    const bytes = typeof input === 'string' ? b64ToBytes(input) : new Uint8Array(input);
+    const root = bytes ? parseDER(bytes) : null;
+    if (!root || !root.children) throw new Error('Unrecognized key format');
+    // PFX starts with version 3; PrivateKeyInfo with version 0 followed by an AlgorithmIdentifier
+    if (root.children.length >= 2 && root.children[0].tag === ASN1_TAG.INTEGER && derBigInt(root.children[0]) === 3n) {
+      pkcs8 = await extractPkcs12Key(root, password);
+      format = 'PKCS#12';
+    } else {
+      pkcs8 = bytes;
+      format = 'PKCS#8 (DER)';
+    }
+  }
+
+  const rsa = readRsaPrivateKey(pkcs8);
+  return { pkcs8, rsa, format, bits: rsa.n.toString(2).length };
+}
@@ -0,0 +1,248 @@
+// Diagram lanes: one per party (host) taking part in a flow, with user renames, merges and ordering
+
+const FLOW_LANES_KEY = 'flowLanes';
+
+const UNKNOWN_PARTY = 'Unknown party';
+
+function emptyLaneOverrides() {
+  return { names: {}, merges: {}, order: [] };
+}
+
+// Stored as { names: { lane: label }, merges: { party: lane }, order: [lane] }
+function getFlowLaneOverrides() {
+  try {
+    return { ...emptyLaneOverrides(), ...JSON.parse(localStorage.getItem(FLOW_LANES_KEY)) };
+  } catch (e) {
+    return emptyLaneOverrides();
+  }
+}
+
+// Throws when localStorage is full so the caller can report it
+function setFlowLaneOverrides(overrides) {
+  const empty = !Object.keys(overrides.names).length && !Object.keys(overrides.merges).length && !overrides.order.length;
+  if (empty) localStorage.removeItem(FLOW_LANES_KEY);
+  else localStorage.setItem(FLOW_LANES_KEY, JSON.stringify(overrides));
+}
+
+function mergedParty(party, merges) {
+  const seen = new Set();
+  while (merges[party] && !seen.has(party)) {
+    seen.add(party);
+    party = merges[party];
+  }
+  return party;
+}
+
+// Host each entity receives messages at: where the browser delivered messages answering it,
+// where it published messages from, then its metadata endpoints
+function learnEntityHosts(items, details, correlation, metadata) {
+  const hosts = new Map();
+  const learn = (entityID, host) => {
+    if (entityID && host && !hosts.has(entityID)) hosts.set(entityID, host);
+  };
+  for (const m of items) {
+    const { parsed, receiver } = details.get(m.id);
+    const request = correlation.byMessage.get(m.id).requestId;
+    if (!request) continue;
+    const requestDetails = details.get(request);
+    learn(requestDetails.parsed && requestDetails.parsed.issuer, receiver);
+    learn(parsed && parsed.issuer, requestDetails.receiver);
+  }
+  for (const m of items) {
+    const { parsed } = details.get(m.id);
+    if (m.deliveredBy) learn(parsed && parsed.issuer, urlHost(m.deliveredBy.url));
+  }
+  for (const entity of metadata.values()) {
+    const endpoints = [entity.idp, entity.sp].filter(Boolean)
+      .flatMap(role => [role.sso, role.acs, role.singleLogout, role.artifactResolution].filter(Boolean).flat());
+    learn(entity.entityID, endpoints.map(e => urlHost(e.location)).find(Boolean));
+  }
+  return hosts;
+}
+
+// Roles a party plays in the flow, from the messages it sends and receives
+function notePartyRoles(roles, type, from, to) {
+  const add = (party, role) => {
+    if (!roles.has(party)) roles.set(party, new Set());
+    roles.get(party).add(role);
+  };
+  if (type.type === 'AuthnRequest') {
+    add(from, 'SP');
+    add(to, 'IdP');
+  } else if (type.type === 'Response') {
+    add(from, 'IdP');
+    add(to, 'SP');
+  }
+}
+
+// { lanes: [{ key, name, parties, entities, roles }], steps: Map<id, { from, to }> } with lane indexes;
+// parties are hosts, or the issuer when no host can be told for it
+function flowLanes(items, correlation, metadata = new Map(), overrides = getFlowLaneOverrides()) {
+  const details = new Map(items.map(m => {
+    const parsed = m.kind === 'SAMLArtifact' ? null : parseSaml(messageXml(m));
+    const receiver = urlHost(m.url) || (parsed && urlHost(parsed.destination)) || null;
+    return [m.id, { type: samlMessageType(m), parsed, receiver }];
+  }));
+  const entityHosts = learnEntityHosts(items, details, correlation, metadata);
+  const receivers = new Set(Array.from(details.values()).map(d => d.receiver).filter(Boolean));
+  const issuedFrom = new Map();
+  for (const m of items) {
+    if (m.deliveredBy && m.deliveredMessageId) issuedFrom.set(m.deliveredMessageId, urlHost(m.deliveredBy.url));
+  }
+
+  const parties = [];
+  const entities = new Map();
+  const roles = new Map();
+  const steps = new Map();
+  let previous = null;
+  for (const m of items) {
+    const { type, parsed, receiver } = details.get(m.id);
+    const issuer = parsed && parsed.issuer;
+    const issuerHost = issuer ? urlHost(issuer) : null;
+    const to = receiver || UNKNOWN_PARTY;
+    // The page that issued it, then where its issuer was seen, then where the browser last was
+    const from = (m.deliveredBy && urlHost(m.deliveredBy.url))
+      || issuedFrom.get(m.id)
+      || entityHosts.get(issuer)
+      || (receivers.has(issuerHost) ? issuerHost : null)
+      || (previous !== to ? previous : null)
+      || issuerHost
+      || issuer
+      || UNKNOWN_PARTY;
+    for (const party of [from, to]) if (!parties.includes(party)) parties.push(party);
+    if (issuer) {
+      if (!entities.has(from)) entities.set(from, new Set());
+      entities.get(from).add(issuer);
+    }
+    notePartyRoles(roles, type, from, to);
+    steps.set(m.id, { from, to });
+    previous = to;
+  }
+
+  // First appearance, then the saved order for lanes the user placed
+  const keys = [];
+  for (const party of parties) {
+    const key = mergedParty(party, overrides.merges);
+    if (!keys.includes(key)) keys.push(key);
+  }
+  const rank = (key) => {
+    const i = overrides.order.indexOf(key);
+    return i === -1 ? overrides.order.length + keys.indexOf(key) : i;
+  };
+  keys.sort((a, b) => rank(a) - rank(b));
+
+  const lanes = keys.map(key => {
+    const members = parties.filter(p => mergedParty(p, overrides.merges) === key);
+    return {
+      key,
+      name: overrides.names[key] || key,
+      parties: members,
+      entities: [...new Set(members.flatMap(p => Array.from(entities.get(p) || [])))],
+      roles: ['SP', 'IdP'].filter(role => members.some(p => roles.has(p) && roles.get(p).has(role)))
+    };
+  });
+  const laneIndex = (party) => keys.indexOf(mergedParty(party, overrides.merges));
+  for (const [id, step] of steps) steps.set(id, { from: laneIndex(step.from), to: laneIndex(step.to) });
+  return { lanes, steps };
+}
+
+function laneDetail(lane) {
+  return [lane.roles.join(' + '), lane.entities.join(', ')].filter(Boolean).join(' • ');
+}
+
+// Rename, merge, split and reorder the lanes of the current diagram; other saved lanes are kept
+function openFlowLanesDialog(lanes) {
+  const messageContainer = document.getElementById('messageContainer');
+  const overrides = getFlowLaneOverrides();
+  const names = { ...overrides.names };
+  const merges = { ...overrides.merges };
+  let order = lanes.map(lane => ({ key: lane.key, parties: lane.parties.slice(), detail: laneDetail(lane) }));
+  const laneList = el('ul', { class: 'metadata-sources flow-lanes' });
+
+  const merge = (lane, into) => {
+    for (const party of Object.keys(merges)) if (merges[party] === lane.key) merges[party] = into.key;
+    for (const party of lane.parties) if (party !== into.key) merges[party] = into.key;
+    into.parties.push(...lane.parties);
+    order = order.filter(l => l !== lane);
+    renderLanes();
+  };
+  const split = (lane, party) => {
+    delete merges[party];
+    lane.parties = lane.parties.filter(p => p !== party);
+    order.splice(order.indexOf(lane) + 1, 0, { key: party, parties: [party], detail: '' });
+    renderLanes();
+  };
+  const move = (lane, delta) => {
+    const i = order.indexOf(lane);
+    order.splice(i, 1);
+    order.splice(i + delta, 0, lane);
+    renderLanes();
+  };
+
+  const renderLanes = () => {
+    laneList.innerHTML = '';
+    order.forEach((lane, i) => {
+      const nameInput = el('input', { type: 'text', class: 'search-input', spellcheck: 'false', placeholder: lane.key, title: 'Lane name' });
+      nameInput.value = names[lane.key] || '';
+      nameInput.addEventListener('input', () => {
+        if (nameInput.value.trim()) names[lane.key] = nameInput.value.trim();
+        else delete names[lane.key];
+      });
+      const mergeSelect = el('select', { class: 'capture-status', title: 'Merge this lane into another one' },
+        el('option', { value: '' }, 'Keep separate'),
+        ...order.filter(l => l !== lane).map(l => el('option', { value: l.key }, `Merge into ${names[l.key] || l.key}`))
+      );
+      mergeSelect.addEventListener('change', () => merge(lane, order.find(l => l.key === mergeSelect.value)));
+      const upBtn = el('button', { class: 'btn btn-ghost', type: 'button', title: 'Move left' }, '←');
+      upBtn.disabled = i === 0;
+      upBtn.addEventListener('click', () => move(lane, -1));
+      const downBtn = el('button', { class: 'btn btn-ghost', type: 'button', title: 'Move right' }, '→');
+      downBtn.disabled = i === order.length - 1;
+      downBtn.addEventListener('click', () => move(lane, 1));
+
+      const merged = lane.parties.filter(party => party !== lane.key);
+      laneList.appendChild(el('li', { class: 'metadata-source' },
+        el('div', { class: 'metadata-source-header' }, nameInput, mergeSelect, upBtn, downBtn),
+        lane.detail ? el('div', { class: 'metadata-count' }, lane.detail) : null,
+        merged.length ? el('ul', { class: 'metadata-entities' }, ...merged.map(party => {
+          const splitBtn = el('button', { class: 'btn btn-ghost', type: 'button' }, 'Split');
+          splitBtn.addEventListener('click', () => split(lane, party));
+          return el('li', {}, `${party} `, splitBtn);
+        })) : null
+      ));
+    });
+  };
+  renderLanes();
+
+  const body = el('div', { class: 'dialog-form' },
+    el('p', { class: 'dialog-help' }, 'One lane per host taking part in the flow, left to right in order of first appearance. Names, merges and order are remembered for these hosts in later captures.'),
+    laneList
+  );
+  openDialog('Diagram Lanes', body, [
+    {
+      label: 'Reset',
+      class: 'btn-ghost',
+      onClick: () => {
+        setFlowLaneOverrides(emptyLaneOverrides());
+        refresh();
+      }
+    },
+    { label: 'Cancel', class: 'btn-ghost' },
+    {
+      label: 'Save',
+      class: 'btn-primary',
+      onClick: () => {
+        const keys = order.map(lane => lane.key);
+        for (const key of keys) delete merges[key];
+        try {
+          setFlowLaneOverrides({ names, merges, order: [...keys, ...overrides.order.filter(key => !keys.includes(key))] });
+        } catch (error) {
+          console.error('[SAMLView] Diagram lanes could not be saved:', error);
+          showError('Could not save the lanes: browser storage is full', messageContainer);
+          return false;
+        }
+        refresh();
+      }
+    }
+  ]);
+}
@@ -0,0 +1,161 @@
+// Library view: captures persisted by the background page (IndexedDB)
+
+const CAPTURE_OUTCOME_LABELS = {
+  success: 'Success',
+  failure: 'Failed',
+  artifact: 'Artifact',
+  incomplete: 'Incomplete'
+};
+
+function captureTitle(capture) {
+  return capture.name || capture.rootTabTitle || `Capture #${capture.id}`;
+}
+
+function formatCaptureDate(isoString) {
+  if (!isoString) return '';
+  const d = new Date(isoString);
+  return Number.isNaN(d.getTime()) ? isoString : d.toLocaleString();
+}
+
+async function renderLibrary() {
+  const container = document.getElementById('libraryContainer');
+  if (!container) return;
+
+  const windowId = await getWindowId();
+  const [{ captures }, state] = await Promise.all([
+    browser.runtime.sendMessage({ type: 'listCaptures' }),
+    browser.runtime.sendMessage({ type: 'getState', windowId })
+  ]);
+
+  container.innerHTML = '';
+  const backBtn = el('button', { class: 'btn btn-ghost', type: 'button' }, '← Back to Messages');
+  backBtn.addEventListener('click', () => setView('list'));
+  container.appendChild(el('div', { class: 'library-header' },
+    el('h2', {}, 'Capture Library'),
+    el('span', { class: 'library-count' }, `${captures.length} saved capture${captures.length === 1 ? '' : 's'}`),
+    backBtn
+  ));
+
+  const list = el('ul', { class: 'list library-list' });
+  if (!captures.length) {
+    list.appendChild(el('li', { class: 'empty' }, 'No saved captures yet. Captures are saved automatically as messages arrive.'));
+  }
+
+  for (const capture of captures) {
+    const isCurrent = state && state.captureId === capture.id;
+    const hosts = [capture.spHost, capture.idpHost].filter(Boolean).join(' ⇄ ');
+    const outcome = capture.outcome || 'incomplete';
+
+    const actions = el('div', { class: 'library-actions' });
+    const addAction = (label, handler, cls = 'btn-ghost') => {
+      const btn = el('button', { class: `btn ${cls}`, type: 'button' }, label);
+      btn.addEventListener('click', () => handler(capture));
+      actions.appendChild(btn);
+    };
+    addAction('Open', openLibraryCapture, 'btn-primary');
+    addAction('Rename', renameLibraryCapture);
+    addAction('Export', exportLibraryCapture);
+    addAction('Metadata', draftLibraryMetadata);
+    addAction('Delete', deleteLibraryCapture, 'btn-danger');
+
+    list.appendChild(el('li', { class: `row library-row${isCurrent ? ' library-current' : ''}`, 'data-capture-id': String(capture.id) },
+      el('div', { class: 'row-header' },
+        el('div', { class: 'library-info' },
+          el('div', { class: 'library-title', title: capture.rootTabUrl || '' }, captureTitle(capture), isCurrent ? el('span', { class: 'badge badge-status' }, 'Current') : null),
+          el('div', { class: 'meta' },
+            text(`${formatCaptureDate(capture.createdAt)} — `),
+            el('span', { class: `badge outcome-${outcome}` }, CAPTURE_OUTCOME_LABELS[outcome] || outcome),
+            el('span', { class: 'badge badge-status' }, `${capture.messageCount || 0} messages`),
+            hosts ? el('span', { class: 'library-hosts', title: hosts }, hosts) : null
+          )
+        ),
+        actions
+      )
+    ));
+  }
+  container.appendChild(list);
+}
+
+async function openLibraryCapture(capture) {
+  const messageContainer = document.getElementById('messageContainer');
+  try {
+    const windowId = await getWindowId();
+    const result = await browser.runtime.sendMessage({ type: 'openCapture', windowId, captureId: capture.id });
+    if (typeof populateTabSelector === 'function') await populateTabSelector();
+    await setView('list');
+    showSuccess(`Opened "${captureTitle(capture)}" (${result.opened} messages)`, messageContainer);
+  } catch (error) {
+    console.error('[SAMLView] Open capture failed:', error);
+    showError(`Failed to open capture: ${error.message || error}`, messageContainer);
+  }
+}
+
+function renameLibraryCapture(capture) {
+  const input = el('input', { type: 'text', class: 'search-input', value: capture.name || captureTitle(capture) });
+  const body = el('div', { class: 'dialog-form' },
+    el('p', { class: 'dialog-help' }, 'Shown in the library instead of the captured tab title. Leave empty to reset.'),
+    input
+  );
+  const dialog = openDialog('Rename Capture', body, [
+    { label: 'Cancel', class: 'btn-ghost' },
+    {
+      label: 'Rename',
+      class: 'btn-primary',
+      onClick: async () => {
+        await browser.runtime.sendMessage({ type: 'renameCapture', captureId: capture.id, name: input.value.trim() });
+        await renderLibrary();
+      }
+    }
+  ]);
+  input.addEventListener('keydown', (e) => {
+    // Same as pressing Rename, which reports a failed rename and keeps the dialog open
+    if (e.key === 'Enter') dialog.element.querySelector('.dialog-actions .btn-primary').click();
+  });
+  input.focus();
+  input.select();
+}
+
+async function exportLibraryCapture(capture) {
+  const messageContainer = document.getElementById('messageContainer');
+  try {
+    const stored = await browser.runtime.sendMessage({ type: 'getCapture', captureId: capture.id });
+    if (!stored) throw new Error('Capture not found');
+    const exportData = {
+      version: '2.0',
+      timestamp: new Date().toISOString(),
+      capture: stored.capture,
+      messages: stored.messages
+    };
+    downloadFile(JSON.stringify(exportData, null, 2), `SAMLView_Capture_${capture.id}_${fileTimestamp(new Date(capture.createdAt))}.json`);
+    showSuccess(`Exported ${stored.messages.length} messages`, messageContainer);
+  } catch (error) {
+    console.error('[SAMLView] Export capture failed:', error);
+    showError('Export failed', messageContainer);
+  }
+}
+
+async function draftLibraryMetadata(capture) {
+  const messageContainer = document.getElementById('messageContainer');
+  try {
+    const stored = await browser.runtime.sendMessage({ type: 'getCapture', captureId: capture.id });
+    if (!stored) throw new Error('Capture not found');
+    openMetadataDraftDialog(stored.messages);
+  } catch (error) {
+    console.error('[SAMLView] Metadata draft failed:', error);
+    showError(`Could not generate metadata: ${error.message || error}`, messageContainer);
+  }
+}
+
+function deleteLibraryCapture(capture) {
+  openDialog('Delete Capture', el('p', {}, `Delete "${captureTitle(capture)}" and its ${capture.messageCount || 0} messages? This cannot be undone.`), [
+    { label: 'Cancel', class: 'btn-ghost' },
+    {
+      label: 'Delete',
+      class: 'btn-danger',
+      onClick: async () => {
+        await browser.runtime.sendMessage({ type: 'deleteCapture', captureId: capture.id });
+        await renderLibrary();
+      }
+    }
+  ]);
+}
@@ -0,0 +1,222 @@
+// SAML conformance linter: rules run per message and report findings with a severity
+
+const LINT_SEVERITIES = ['error', 'warning', 'info'];
+
+const SAML_BINDINGS = {
+  'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST': 'HTTP-POST',
+  'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST-SimpleSign': 'HTTP-POST',
+  'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect': 'HTTP-Redirect',
+  'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Artifact': 'HTTP-Artifact',
+  'urn:oasis:names:tc:SAML:2.0:bindings:SOAP': 'SOAP',
+  'urn:oasis:names:tc:SAML:2.0:bindings:PAOS': 'PAOS'
+};
+
+const NAMEID_FORMAT_UNSPECIFIED = [
+  'urn:oasis:names:tc:SAML:1.1:nameid-format:unspecified',
+  'urn:oasis:names:tc:SAML:2.0:nameid-format:unspecified'
+];
+
+// Binding the message was observed on, from how it was captured
+function observedBinding(m) {
+  if (m.kind === 'SAMLArtifact') return 'HTTP-Artifact';
+  if (m.transport === 'GET' || m.transport === 'REDIRECT(res)') return 'HTTP-Redirect';
+  if (m.transport === 'POST' || m.transport === 'HTML-FORM(res)') return 'HTTP-POST';
+  if (m.transport === 'SOAP') return 'SOAP';
+  return null;
+}
+
+// Scheme, host and path; query strings (Redirect binding) and trailing slashes are ignored
+function normalizeEndpoint(url) {
+  try {
+    const u = new URL(url);
+    return `${u.protocol}//${u.host.toLowerCase()}${u.pathname.replace(/\/+$/, '')}`;
+  } catch (_) {
+    return null;
+  }
+}
+
+function sameEndpoint(a, b) {
+  const na = normalizeEndpoint(a);
+  return na !== null && na === normalizeEndpoint(b);
+}
+
+const LINT_RULES = [
+  {
+    id: 'issuer-missing',
+    check({ type, parsed }) {
+      if (type.category === 'other' || type.type === 'Assertion') return [];
+      // Web SSO requires the Issuer on AuthnRequests and on every Assertion
+      if (type.type === 'Response') {
+        const missing = parsed.assertionIssuers.filter(i => !i).length;
+        return missing ? [{ severity: 'error', message: `${missing} Assertion(s) without an Issuer` }] : [];
+      }
+      if (parsed.messageIssuer) return [];
+      const severity = ['AuthnRequest', 'LogoutRequest', 'LogoutResponse'].includes(type.type) ? 'error' : 'warning';
+      return [{ severity, message: `${type.type} has no Issuer` }];
+    }
+  },
+  {
+    id: 'destination-mismatch',
+    check({ m, parsed, binding }) {
+      if (!binding || binding === 'SOAP' || binding === 'HTTP-Artifact') return [];
+      if (!parsed.destination) {
+        const signed = parsed.messageSigned || !!m.redirectSignature;
+        return signed ? [{ severity: 'error', message: 'Signed message has no Destination attribute' }] : [];
+      }
+      if (sameEndpoint(parsed.destination, m.url)) return [];
+      return [{ severity: 'error', message: `Destination ${parsed.destination} does not match the URL it was sent to (${normalizeEndpoint(m.url) || m.url})` }];
+    }
+  },
+  {
+    id: 'recipient-mismatch',
+    check({ m, type, parsed, binding }) {
+      if (type.type !== 'Response' || !parsed.subjectConfirmationRecipient) return [];
+      const findings = [];
+      if (binding === 'HTTP-POST' && !sameEndpoint(parsed.subjectConfirmationRecipient, m.url)) {
+        findings.push({ severity: 'error', message: `SubjectConfirmationData Recipient ${parsed.subjectConfirmationRecipient} does not match the ACS it was posted to` });
+      }
+      if (parsed.destination && !sameEndpoint(parsed.subjectConfirmationRecipient, parsed.destination)) {
+        findings.push({ severity: 'warning', message: 'SubjectConfirmationData Recipient differs from the Response Destination' });
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'in-response-to-mismatch',
+    check({ type, parsed }) {
+      if (type.type !== 'Response' || !parsed.subjectConfirmationInResponseTo) return [];
+      if (parsed.subjectConfirmationInResponseTo === parsed.inResponseTo) return [];
+      return [{ severity: 'error', message: `SubjectConfirmationData InResponseTo (${parsed.subjectConfirmationInResponseTo}) differs from the Response InResponseTo (${parsed.inResponseTo || 'none'})` }];
+    }
+  },
+  {
+    id: 'audience',
+    check({ type, parsed, request }) {
+      if (type.type !== 'Response' || !parsed.assertionCount) return [];
+      const audience = parsed.audience || [];
+      if (!audience.length) return [{ severity: 'warning', message: 'Assertion has no AudienceRestriction' }];
+      const spEntityId = request && request.parsed && request.parsed.messageIssuer;
+      if (!spEntityId) return [];
+      if (!audience.includes(spEntityId)) {
+        return [{ severity: 'error', message: `Audience (${audience.join(', ')}) does not include the requesting SP ${spEntityId}` }];
+      }
+      const extra = audience.filter(a => a !== spEntityId);
+      return extra.length ? [{ severity: 'info', message: `Additional audiences besides the requesting SP: ${extra.join(', ')}` }] : [];
+    }
+  },
+  {
+    id: 'validity-window',
+    check({ parsed, receivedAt, toleranceMs }) {
+      if (receivedAt === null) return [];
+      const findings = [];
+      for (const w of validityWindows(parsed)) {
+        const status = windowStatus(w, receivedAt, toleranceMs);
+        if (status === 'not-yet-valid') {
+          findings.push({ severity: 'error', message: `${w.label} not yet valid when received (NotBefore is ${formatSkew(w.from - receivedAt)} ahead)` });
+        } else if (status === 'expired') {
+          findings.push({ severity: 'error', message: `${w.label} expired when received (NotOnOrAfter was ${formatSkew(receivedAt - w.until)} earlier)` });
+        } else if (status === 'skew') {
+          findings.push({ severity: 'warning', message: `${w.label} is only valid thanks to the ${formatSkew(toleranceMs)} clock skew tolerance` });
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'clock-skew',
+    check({ parsed, receivedAt, toleranceMs }) {
+      const issued = parseSamlTime(parsed.issueInstant);
+      if (receivedAt === null || issued === null) return [];
+      if (issued - receivedAt > toleranceMs) {
+        return [{ severity: 'error', message: `IssueInstant is ${formatSkew(issued - receivedAt)} after the message was received; the issuer's clock is ahead` }];
+      }
+      if (receivedAt - issued > toleranceMs) {
+        return [{ severity: 'warning', message: `Issued ${formatSkew(receivedAt - issued)} before it was received; the issuer's clock is behind or the message was delayed or replayed` }];
+      }
+      return [];
+    }
+  },
+  {
+    id: 'assertion-unsigned',
+    check({ type, parsed }) {
+      if (type.type !== 'Response' || !parsed.assertionCount) return [];
+      if (parsed.assertionsSigned) return [];
+      if (!parsed.messageSigned) return [{ severity: 'error', message: 'Neither the Response nor its Assertion is signed' }];
+      return [{ severity: 'info', message: 'Only the Response is signed; SPs requiring signed Assertions will reject it' }];
+    }
+  },
+  {
+    id: 'nameid-format',
+    check({ type, parsed, request }) {
+      if (type.type !== 'Response' || !request || !request.parsed) return [];
+      const requested = request.parsed.nameIDPolicyFormat;
+      if (!requested || NAMEID_FORMAT_UNSPECIFIED.includes(requested) || !parsed.nameIDFormat) return [];
+      if (parsed.nameIDFormat === requested) return [];
+      return [{ severity: 'warning', message: `NameID format ${parsed.nameIDFormat.split(':').pop()} differs from the requested NameIDPolicy ${requested.split(':').pop()}` }];
+    }
+  },
+  {
+    id: 'protocol-binding',
+    check({ m, type, request, binding }) {
+      if (type.type !== 'Response' || !request || !request.parsed) return [];
+      const findings = [];
+      const requestedBinding = SAML_BINDINGS[request.parsed.protocolBinding];
+      if (requestedBinding && binding && requestedBinding !== binding) {
+        findings.push({ severity: 'warning', message: `Requested ProtocolBinding ${requestedBinding} but the Response arrived via ${binding}` });
+      }
+      if (request.parsed.acs && !sameEndpoint(request.parsed.acs, m.url) && binding === 'HTTP-POST') {
+        findings.push({ severity: 'warning', message: `Response posted to ${normalizeEndpoint(m.url)} instead of the requested ACS ${request.parsed.acs}` });
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'status',
+    check({ type, parsed }) {
+      if (type.direction !== 'response' || !parsed.statusCode) return [];
+      if (parsed.statusCode.endsWith(':Success')) {
+        const partial = (parsed.subStatusCode || '').endsWith(':PartialLogout');
+        return partial ? [{ severity: 'warning', message: 'Logout succeeded only partially (PartialLogout)' }] : [];
+      }
+      const codes = [parsed.statusCode, parsed.subStatusCode].filter(Boolean).map(c => c.split(':').pop()).join(' / ');
+      return [{ severity: 'error', message: `Status ${codes}${parsed.statusMessage ? `: ${parsed.statusMessage}` : ''}` }];
+    }
+  }
+];
+
+function lintMessage(m, { type, parsed, request, toleranceMs, metadata = new Map(), registry = {} }) {
+  if (!parsed) return [];
+  const ctx = { m, xml: messageXml(m), type, parsed, request, binding: observedBinding(m), receivedAt: messageReceivedAt(m), toleranceMs, metadata, registry };
+  const findings = [];
+  for (const rule of LINT_RULES) {
+    try {
+      for (const finding of rule.check(ctx)) findings.push({ rule: rule.id, ...finding });
+    } catch (error) {
+      console.error(`[SAMLView] Lint rule ${rule.id} failed:`, error);
+    }
+  }
+  return findings.sort((a, b) => LINT_SEVERITIES.indexOf(a.severity) - LINT_SEVERITIES.indexOf(b.severity));
+}
+
+// Map<id, findings[]> for all messages; responses are checked against the request they answer.
+// options: toleranceMs for validity windows, metadata (Map<entityID, entity>) for the metadata rules,
+// registry (known entities) for the certificate rules
+function lintMessages(msgs, correlation, options = {}) {
+  const toleranceMs = options.toleranceMs !== undefined ? options.toleranceMs : DEFAULT_CLOCK_SKEW_MS;
+  const byId = new Map(msgs.map(m => [m.id, m]));
+  const parsedById = new Map(msgs.map(m => [m.id, m.kind === 'SAMLArtifact' ? null : parseSaml(messageXml(m))]));
+  const results = new Map();
+  for (const m of msgs) {
+    const c = correlation.byMessage.get(m.id);
+    const requestId = c && (c.requestId || (c.copyOf && correlation.byMessage.get(c.copyOf) && correlation.byMessage.get(c.copyOf).requestId));
+    const request = requestId ? { m: byId.get(requestId), parsed: parsedById.get(requestId) } : null;
+    results.set(m.id, lintMessage(m, { type: samlMessageType(m), parsed: parsedById.get(m.id), request, toleranceMs, metadata: options.metadata, registry: options.registry }));
+  }
+  return results;
+}
+
+function countFindings(findings) {
+  const counts = { error: 0, warning: 0, info: 0 };
+  for (const f of findings) counts[f.severity]++;
+  return counts;
+}
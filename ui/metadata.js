@@ -0,0 +1,528 @@
+// SAML metadata: imported EntityDescriptors, the lint rules checking captured messages against them,
+// and draft EntityDescriptors generated from a capture
+
+const MD_NS = 'urn:oasis:names:tc:SAML:2.0:metadata';
+const METADATA_SOURCES_KEY = 'metadataSources';
+const metadataParseCache = new Map(); // Map<xml, entities>
+
+function mdChildren(parent, localName) {
+  if (!parent) return [];
+  return Array.from(parent.children).filter(c => c.namespaceURI === MD_NS && c.localName === localName);
+}
+
+function parseMetadataEndpoint(e) {
+  return {
+    binding: e.getAttribute('Binding'),
+    location: e.getAttribute('Location'),
+    responseLocation: e.getAttribute('ResponseLocation'),
+    index: e.getAttribute('index'),
+    isDefault: e.getAttribute('isDefault') === 'true'
+  };
+}
+
+// Fields shared by SPSSODescriptor and IDPSSODescriptor
+function parseRoleDescriptor(role) {
+  const signingCerts = [];
+  const encryptionCerts = [];
+  for (const kd of mdChildren(role, 'KeyDescriptor')) {
+    // A KeyDescriptor without "use" applies to both
+    const use = kd.getAttribute('use');
+    const certs = keyInfoCertificates(dsChild(kd, 'KeyInfo'));
+    if (use !== 'encryption') signingCerts.push(...certs);
+    if (use !== 'signing') encryptionCerts.push(...certs);
+  }
+  return {
+    signingCerts,
+    encryptionCerts,
+    nameIDFormats: mdChildren(role, 'NameIDFormat').map(n => n.textContent.trim()),
+    singleLogout: mdChildren(role, 'SingleLogoutService').map(parseMetadataEndpoint),
+    artifactResolution: mdChildren(role, 'ArtifactResolutionService').map(parseMetadataEndpoint)
+  };
+}
+
+// EntityDescriptors found anywhere in the document (EntitiesDescriptor may nest)
+function parseMetadata(xml) {
+  if (metadataParseCache.has(xml)) return metadataParseCache.get(xml);
+
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) throw new Error('Metadata is not well-formed XML');
+
+  const entities = [];
+  for (const ed of doc.getElementsByTagNameNS(MD_NS, 'EntityDescriptor')) {
+    const entityID = ed.getAttribute('entityID');
+    if (!entityID) continue;
+    const entity = { entityID, validUntil: ed.getAttribute('validUntil'), sp: null, idp: null };
+
+    const sp = mdChildren(ed, 'SPSSODescriptor')[0];
+    if (sp) {
+      entity.sp = {
+        ...parseRoleDescriptor(sp),
+        acs: mdChildren(sp, 'AssertionConsumerService').map(parseMetadataEndpoint),
+        authnRequestsSigned: sp.getAttribute('AuthnRequestsSigned') === 'true',
+        wantAssertionsSigned: sp.getAttribute('WantAssertionsSigned') === 'true'
+      };
+    }
+    const idp = mdChildren(ed, 'IDPSSODescriptor')[0];
+    if (idp) {
+      entity.idp = {
+        ...parseRoleDescriptor(idp),
+        sso: mdChildren(idp, 'SingleSignOnService').map(parseMetadataEndpoint),
+        wantAuthnRequestsSigned: idp.getAttribute('WantAuthnRequestsSigned') === 'true'
+      };
+    }
+    entities.push(entity);
+  }
+  if (!entities.length) throw new Error('No EntityDescriptor with an entityID found');
+
+  metadataParseCache.set(xml, entities);
+  return entities;
+}
+
+// Stored as [{ name, xml, loadedAt }] so the parsed form can change without migrating
+function getMetadataSources() {
+  try {
+    return JSON.parse(localStorage.getItem(METADATA_SOURCES_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Throws when localStorage is full so the caller can report it
+function setMetadataSources(sources) {
+  if (sources.length) localStorage.setItem(METADATA_SOURCES_KEY, JSON.stringify(sources));
+  else localStorage.removeItem(METADATA_SOURCES_KEY);
+}
+
+// Parse before storing; a source with the same name is replaced
+function addMetadataSource(name, xml) {
+  const entities = parseMetadata(xml);
+  const sources = getMetadataSources().filter(s => s.name !== name);
+  sources.push({ name, xml, loadedAt: new Date().toISOString() });
+  setMetadataSources(sources);
+  return entities;
+}
+
+function removeMetadataSource(name) {
+  setMetadataSources(getMetadataSources().filter(s => s.name !== name));
+}
+
+// Map<entityID, entity> over all stored sources; later sources win
+function loadedMetadata() {
+  const byId = new Map();
+  for (const source of getMetadataSources()) {
+    try {
+      for (const entity of parseMetadata(source.xml)) byId.set(entity.entityID, { ...entity, source: source.name });
+    } catch (error) {
+      console.error(`[SAMLView] Stored metadata ${source.name} could not be parsed:`, error);
+    }
+  }
+  return byId;
+}
+
+function entityRoleLabels(entity) {
+  return [entity.sp ? 'SP' : null, entity.idp ? 'IdP' : null].filter(Boolean);
+}
+
+// Signing certificates of an entity across both roles
+function entitySigningCertificates(entity) {
+  return [...(entity.sp ? entity.sp.signingCerts : []), ...(entity.idp ? entity.idp.signingCerts : [])];
+}
+
+// X509Certificate values from every ds:Signature KeyInfo in the document
+function signatureCertificates(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) return [];
+  const certs = [];
+  for (const sig of doc.getElementsByTagNameNS(DSIG_NS, 'Signature')) {
+    certs.push(...keyInfoCertificates(dsChild(sig, 'KeyInfo')));
+  }
+  return certs;
+}
+
+// Compares the URL and binding a message used with advertised endpoints;
+// returns null when they agree, otherwise what differs
+function endpointMismatch(endpoints, url, binding) {
+  const matches = endpoints.filter(e => sameEndpoint(e.location, url) || (e.responseLocation && sameEndpoint(e.responseLocation, url)));
+  if (!matches.length) return { problem: 'location' };
+  if (binding && !matches.some(e => SAML_BINDINGS[e.binding] === binding)) {
+    return { problem: 'binding', bindings: matches.map(e => SAML_BINDINGS[e.binding] || e.binding) };
+  }
+  return null;
+}
+
+// SP a Response is addressed to: the requesting SP, an audience, or the owner of the ACS it was sent to
+function metadataServiceProvider({ m, parsed, request, metadata }) {
+  const candidates = [request && request.parsed && request.parsed.messageIssuer, ...(parsed.audience || [])];
+  for (const id of candidates) {
+    const entity = id && metadata.get(id);
+    if (entity && entity.sp) return entity;
+  }
+  return Array.from(metadata.values()).find(e => e.sp && !endpointMismatch(e.sp.acs, m.url, null)) || null;
+}
+
+function metadataIdentityProvider({ m, metadata }) {
+  return Array.from(metadata.values()).find(e => e.idp && !endpointMismatch(e.idp.sso, m.url, null)) || null;
+}
+
+const METADATA_ROLE_BY_TYPE = {
+  AuthnRequest: 'sp',
+  Response: 'idp',
+  Assertion: 'idp',
+  ArtifactResponse: 'idp'
+};
+
+const METADATA_LINT_RULES = [
+  {
+    id: 'metadata-issuer',
+    check({ type, parsed, metadata }) {
+      if (!metadata.size || type.category === 'other') return [];
+      const findings = [];
+      const role = METADATA_ROLE_BY_TYPE[type.type];
+      for (const issuer of new Set([parsed.messageIssuer, ...parsed.assertionIssuers].filter(Boolean))) {
+        const entity = metadata.get(issuer);
+        if (!entity) {
+          findings.push({ severity: 'warning', message: `Issuer ${issuer} is not an entityID in the loaded metadata` });
+        } else if (role && !entity[role]) {
+          findings.push({ severity: 'warning', message: `Metadata of ${issuer} (${entity.source}) has no ${role === 'sp' ? 'SPSSODescriptor' : 'IDPSSODescriptor'}` });
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'metadata-endpoint',
+    check(ctx) {
+      const { m, type, parsed, metadata, binding } = ctx;
+      if (!metadata.size || !binding) return [];
+      const findings = [];
+      const describe = (mismatch, service, owner) => mismatch.problem === 'location'
+        ? `${normalizeEndpoint(m.url) || m.url} is not a ${service} in the metadata of ${owner}`
+        : `${service} ${normalizeEndpoint(m.url)} is advertised for ${mismatch.bindings.join(', ')} in the metadata of ${owner}, but ${binding} was used`;
+
+      if (type.type === 'AuthnRequest') {
+        const idps = Array.from(metadata.values()).filter(e => e.idp);
+        if (idps.length && idps.every(e => endpointMismatch(e.idp.sso, m.url, null))) {
+          findings.push({ severity: 'warning', message: `${normalizeEndpoint(m.url) || m.url} is not a SingleSignOnService of any IdP in the loaded metadata` });
+        } else {
+          const idp = metadataIdentityProvider(ctx);
+          const mismatch = idp && endpointMismatch(idp.idp.sso, m.url, binding);
+          if (mismatch) findings.push({ severity: 'warning', message: describe(mismatch, 'SingleSignOnService', idp.entityID) });
+        }
+        const sp = metadata.get(parsed.messageIssuer);
+        if (sp && sp.sp && parsed.acs) {
+          const mismatch = endpointMismatch(sp.sp.acs, parsed.acs, SAML_BINDINGS[parsed.protocolBinding] || null);
+          if (mismatch && mismatch.problem === 'location') {
+            findings.push({ severity: 'error', message: `Requested AssertionConsumerServiceURL ${parsed.acs} is not in the SP metadata; IdPs reject such requests` });
+          } else if (mismatch) {
+            findings.push({ severity: 'warning', message: `Requested ProtocolBinding ${SAML_BINDINGS[parsed.protocolBinding]} is not advertised for ${parsed.acs} (${mismatch.bindings.join(', ')})` });
+          }
+        }
+      } else if (type.type === 'Response') {
+        const sp = metadataServiceProvider(ctx);
+        const mismatch = sp && endpointMismatch(sp.sp.acs, m.url, binding);
+        if (mismatch) {
+          findings.push({ severity: mismatch.problem === 'location' ? 'error' : 'warning', message: describe(mismatch, 'AssertionConsumerService', sp.entityID) });
+        }
+      } else if (type.category === 'slo') {
+        const withSlo = Array.from(metadata.values()).filter(e => [e.sp, e.idp].some(r => r && r.singleLogout.length));
+        const receiver = withSlo.find(e => [e.sp, e.idp].some(r => r && !endpointMismatch(r.singleLogout, m.url, null)));
+        if (withSlo.length && !receiver) {
+          findings.push({ severity: 'warning', message: `${normalizeEndpoint(m.url) || m.url} is not a SingleLogoutService in the loaded metadata` });
+        } else if (receiver) {
+          const endpoints = [receiver.sp, receiver.idp].filter(Boolean).flatMap(r => r.singleLogout);
+          const mismatch = endpointMismatch(endpoints, m.url, binding);
+          if (mismatch) findings.push({ severity: 'warning', message: describe(mismatch, 'SingleLogoutService', receiver.entityID) });
+        }
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'metadata-signing-cert',
+    check({ parsed, xml, metadata }) {
+      const issuer = parsed.messageIssuer || parsed.assertionIssuers.find(Boolean);
+      const entity = issuer && metadata.get(issuer);
+      const known = entity ? entitySigningCertificates(entity) : [];
+      if (!known.length) return [];
+      const unknown = signatureCertificates(xml).filter(c => !known.includes(c));
+      if (!unknown.length) return [];
+      return [{ severity: 'error', message: `Signed with a certificate that is not among the ${known.length} signing certificate(s) in the metadata of ${issuer}; a certificate rollover may not have been published` }];
+    }
+  },
+  {
+    id: 'metadata-signing-required',
+    check(ctx) {
+      const { m, type, parsed, metadata } = ctx;
+      if (!metadata.size) return [];
+      if (type.type === 'AuthnRequest' && !parsed.messageSigned && !m.redirectSignature) {
+        const sp = metadata.get(parsed.messageIssuer);
+        const idp = metadataIdentityProvider(ctx);
+        const required = [
+          sp && sp.sp && sp.sp.authnRequestsSigned ? `${sp.entityID} sets AuthnRequestsSigned` : null,
+          idp && idp.idp.wantAuthnRequestsSigned ? `${idp.entityID} sets WantAuthnRequestsSigned` : null
+        ].filter(Boolean);
+        if (required.length) return [{ severity: 'error', message: `AuthnRequest is not signed, but the metadata of ${required.join(' and ')}` }];
+      }
+      if (type.type === 'Response' && parsed.assertionCount && !parsed.assertionsSigned) {
+        const sp = metadataServiceProvider(ctx);
+        if (sp && sp.sp.wantAssertionsSigned) {
+          return [{ severity: 'error', message: `Assertion is not signed, but the metadata of ${sp.entityID} sets WantAssertionsSigned` }];
+        }
+      }
+      return [];
+    }
+  },
+  {
+    id: 'metadata-nameid-format',
+    check(ctx) {
+      const { type, parsed } = ctx;
+      if (type.type !== 'Response' || !parsed.nameIDFormat || NAMEID_FORMAT_UNSPECIFIED.includes(parsed.nameIDFormat)) return [];
+      const sp = metadataServiceProvider(ctx);
+      const formats = sp ? sp.sp.nameIDFormats : [];
+      if (!formats.length || formats.includes(parsed.nameIDFormat)) return [];
+      return [{ severity: 'warning', message: `NameID format ${parsed.nameIDFormat.split(':').pop()} is not listed in the metadata of ${sp.entityID} (${formats.map(f => f.split(':').pop()).join(', ')})` }];
+    }
+  }
+];
+
+LINT_RULES.push(...METADATA_LINT_RULES);
+
+// Draft metadata: entities, endpoints, NameID formats and certificates observed in a capture
+
+const METADATA_BINDING_URIS = {
+  'HTTP-POST': 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-POST',
+  'HTTP-Redirect': 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Redirect',
+  'HTTP-Artifact': 'urn:oasis:names:tc:SAML:2.0:bindings:HTTP-Artifact',
+  SOAP: 'urn:oasis:names:tc:SAML:2.0:bindings:SOAP'
+};
+
+function xmlEscape(value) {
+  return String(value).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Comments may not contain "--"
+function xmlComment(text) {
+  return `<!-- ${String(text).replace(/--/g, '- -')} -->`;
+}
+
+// Endpoint URL without the query string a Redirect binding message adds
+function endpointLocation(url) {
+  try {
+    const u = new URL(url);
+    return `${u.origin}${u.pathname}`;
+  } catch (_) {
+    return null;
+  }
+}
+
+// X509Certificate values from xenc:EncryptedKey KeyInfo: the recipient's encryption certificate
+function encryptionKeyCertificates(xml) {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) return [];
+  const certs = [];
+  for (const key of doc.getElementsByTagNameNS(XENC_NS, 'EncryptedKey')) {
+    certs.push(...keyInfoCertificates(dsChild(key, 'KeyInfo')));
+  }
+  return certs;
+}
+
+function emptyDraftRole() {
+  return {
+    acs: [],
+    sso: [],
+    slo: [],
+    ars: [],
+    nameIDFormats: new Map(), // Map<format, note>
+    signingCerts: new Map(), // Map<base64, note>
+    encryptionCerts: new Map(),
+    requestsSigned: [], // one boolean per observed AuthnRequest
+    assertionsSigned: [] // one boolean per observed Response with assertions
+  };
+}
+
+// Returns [{ entityID, sp, idp }] where each role lists what was observed, with a note per value
+function draftMetadata(msgs) {
+  const correlation = correlateMessages(msgs);
+  const details = new Map(msgs.map(m => [m.id, {
+    type: samlMessageType(m),
+    parsed: m.kind === 'SAMLArtifact' ? null : parseSaml(messageXml(m))
+  }]));
+  const issuerOf = (id) => {
+    const parsed = details.has(id) && details.get(id).parsed;
+    return parsed ? parsed.messageIssuer || parsed.issuer : null;
+  };
+
+  const entities = new Map();
+  const role = (entityID, name) => {
+    if (!entities.has(entityID)) entities.set(entityID, { entityID, sp: null, idp: null });
+    const entity = entities.get(entityID);
+    if (!entity[name]) entity[name] = emptyDraftRole();
+    return entity[name];
+  };
+  const addEndpoint = (list, binding, url, note) => {
+    const location = endpointLocation(url);
+    const uri = METADATA_BINDING_URIS[binding];
+    if (!location || !uri) return;
+    const existing = list.find(e => e.binding === uri && e.location === location);
+    if (!existing) list.push({ binding: uri, location, note });
+    else if (!existing.note.includes(note)) existing.note += `; ${note}`;
+  };
+
+  // AuthnRequest issuers are SPs and Response issuers IdPs; everything else is placed relative to them
+  for (const m of msgs) {
+    const { type } = details.get(m.id);
+    const issuer = issuerOf(m.id);
+    if (!issuer) continue;
+    if (type.type === 'AuthnRequest') role(issuer, 'sp');
+    if (type.type === 'Response' || type.type === 'Assertion') role(issuer, 'idp');
+  }
+  const spIds = Array.from(entities.values()).filter(e => e.sp).map(e => e.entityID);
+  const idpIds = Array.from(entities.values()).filter(e => e.idp).map(e => e.entityID);
+  const roleOf = (entityID) => spIds.includes(entityID) ? 'sp' : (idpIds.includes(entityID) ? 'idp' : null);
+  const counterpartOf = (entityID) => {
+    if (roleOf(entityID) === 'sp') return idpIds[0] || null;
+    if (roleOf(entityID) === 'idp') return spIds[0] || null;
+    return null;
+  };
+
+  for (const m of msgs) {
+    const { type, parsed } = details.get(m.id);
+    const c = correlation.byMessage.get(m.id);
+    const binding = observedBinding(m);
+    const ref = `${type.type} #${m.id}`;
+
+    if (m.kind === 'SAMLArtifact') {
+      const sp = spIds[0];
+      if (sp) addEndpoint(role(sp, 'sp').acs, 'HTTP-Artifact', m.url, `observed: artifact #${m.id} delivered here`);
+      continue;
+    }
+    if (!parsed) continue;
+    const issuer = issuerOf(m.id);
+    if (!issuer) continue;
+
+    const issuerRole = roleOf(issuer);
+    if (issuerRole) {
+      for (const cert of signatureCertificates(m.xml)) {
+        const certs = role(issuer, issuerRole).signingCerts;
+        if (!certs.has(cert)) certs.set(cert, `observed: KeyInfo of the signature on ${ref}`);
+      }
+    }
+
+    if (type.type === 'AuthnRequest') {
+      const sp = role(issuer, 'sp');
+      sp.requestsSigned.push(parsed.messageSigned || !!m.redirectSignature);
+      if (parsed.acs) {
+        const declared = SAML_BINDINGS[parsed.protocolBinding] || 'HTTP-POST';
+        addEndpoint(sp.acs, declared, parsed.acs, `declared: AssertionConsumerServiceURL in ${ref}${parsed.protocolBinding ? '' : ' (binding assumed)'}`);
+      }
+      if (parsed.nameIDPolicyFormat && !sp.nameIDFormats.has(parsed.nameIDPolicyFormat)) {
+        sp.nameIDFormats.set(parsed.nameIDPolicyFormat, `declared: NameIDPolicy of ${ref}`);
+      }
+      const answeredBy = c && c.responseIds.map(issuerOf).find(id => idpIds.includes(id));
+      const idp = answeredBy || idpIds[0];
+      if (idp && binding) addEndpoint(role(idp, 'idp').sso, binding, m.url, `observed: ${ref} sent here via ${binding}`);
+    } else if (type.type === 'Response') {
+      const idp = role(issuer, 'idp');
+      if (parsed.nameIDFormat && !idp.nameIDFormats.has(parsed.nameIDFormat)) {
+        idp.nameIDFormats.set(parsed.nameIDFormat, `observed: NameID in ${ref}`);
+      }
+      const requestIssuer = c && c.requestId ? issuerOf(c.requestId) : null;
+      const spId = requestIssuer || (parsed.audience || [])[0] || spIds[0];
+      if (!spId) continue;
+      const sp = role(spId, 'sp');
+      if (binding) addEndpoint(sp.acs, binding, m.url, `observed: ${ref} delivered here via ${binding}`);
+      if (parsed.assertionCount) sp.assertionsSigned.push(parsed.assertionsSigned);
+      for (const cert of encryptionKeyCertificates(m.xml)) {
+        if (!sp.encryptionCerts.has(cert)) sp.encryptionCerts.set(cert, `observed: EncryptedKey KeyInfo in ${ref}`);
+      }
+    } else if (type.type === 'ArtifactResolve') {
+      const idp = counterpartOf(issuer);
+      if (idp) addEndpoint(role(idp, 'idp').ars, 'SOAP', m.url, `observed: ${ref} sent here`);
+    } else if (type.category === 'slo') {
+      const receiver = counterpartOf(issuer);
+      if (receiver && binding) {
+        addEndpoint(role(receiver, roleOf(receiver)).slo, binding, m.url, `observed: ${ref} from ${issuer} sent here via ${binding}`);
+      }
+    }
+  }
+
+  return Array.from(entities.values());
+}
+
+// Summary of boolean observations, e.g. "2 of 3 observed AuthnRequests were signed"
+function draftFlag(values, noun) {
+  const yes = values.filter(Boolean).length;
+  return { value: values.length > 0 && yes === values.length, note: `inferred: ${yes} of ${values.length} observed ${noun}` };
+}
+
+function draftMetadataXml(entity, generatedAt = new Date().toISOString()) {
+  const out = [];
+  const line = (depth, text) => out.push(`${'  '.repeat(depth)}${text}`);
+
+  const keyDescriptors = (depth, r) => {
+    for (const [use, certs] of [['signing', r.signingCerts], ['encryption', r.encryptionCerts]]) {
+      for (const [cert, note] of certs) {
+        line(depth, xmlComment(note));
+        line(depth, `<md:KeyDescriptor use="${use}">`);
+        line(depth + 1, `<ds:KeyInfo><ds:X509Data><ds:X509Certificate>${cert}</ds:X509Certificate></ds:X509Data></ds:KeyInfo>`);
+        line(depth, '</md:KeyDescriptor>');
+      }
+    }
+    if (!r.signingCerts.size) line(depth, xmlComment('No signing certificate observed (no KeyInfo in signatures); add it'));
+  };
+  const endpoints = (depth, element, list, indexed) => {
+    list.forEach((e, i) => {
+      line(depth, xmlComment(e.note));
+      const index = indexed ? ` index="${i}"${i === 0 ? ' isDefault="true"' : ''}` : '';
+      line(depth, `<md:${element} Binding="${e.binding}" Location="${xmlEscape(e.location)}"${index}/>`);
+    });
+  };
+  const nameIDFormats = (depth, r) => {
+    for (const [format, note] of r.nameIDFormats) {
+      line(depth, xmlComment(note));
+      line(depth, `<md:NameIDFormat>${xmlEscape(format)}</md:NameIDFormat>`);
+    }
+  };
+
+  line(0, '<?xml version="1.0" encoding="UTF-8"?>');
+  line(0, xmlComment(`DRAFT generated by SAMLView on ${generatedAt} from a captured flow. Every value below was inferred from observed traffic; the comment above each element says how. Review before use.`));
+  line(0, `<md:EntityDescriptor xmlns:md="${MD_NS}" xmlns:ds="${DSIG_NS}" entityID="${xmlEscape(entity.entityID)}">`);
+
+  if (entity.sp) {
+    const r = entity.sp;
+    const requestsSigned = draftFlag(r.requestsSigned, 'AuthnRequests were signed');
+    const assertionsSigned = draftFlag(r.assertionsSigned, 'Responses had signed Assertions');
+    const attrs = [];
+    if (r.requestsSigned.length) {
+      line(1, xmlComment(`AuthnRequestsSigned ${requestsSigned.note}`));
+      attrs.push(` AuthnRequestsSigned="${requestsSigned.value}"`);
+    }
+    if (r.assertionsSigned.length) {
+      line(1, xmlComment(`WantAssertionsSigned ${assertionsSigned.note}`));
+      attrs.push(` WantAssertionsSigned="${assertionsSigned.value}"`);
+    }
+    line(1, `<md:SPSSODescriptor protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol"${attrs.join('')}>`);
+    keyDescriptors(2, r);
+    endpoints(2, 'SingleLogoutService', r.slo, false);
+    nameIDFormats(2, r);
+    endpoints(2, 'AssertionConsumerService', r.acs, true);
+    if (!r.acs.length) line(2, xmlComment('No AssertionConsumerService observed; at least one is required'));
+    line(1, '</md:SPSSODescriptor>');
+  }
+
+  if (entity.idp) {
+    const r = entity.idp;
+    line(1, xmlComment('WantAuthnRequestsSigned cannot be observed and is left out'));
+    line(1, '<md:IDPSSODescriptor protocolSupportEnumeration="urn:oasis:names:tc:SAML:2.0:protocol">');
+    keyDescriptors(2, r);
+    endpoints(2, 'ArtifactResolutionService', r.ars, true);
+    endpoints(2, 'SingleLogoutService', r.slo, false);
+    nameIDFormats(2, r);
+    endpoints(2, 'SingleSignOnService', r.sso, false);
+    if (!r.sso.length) line(2, xmlComment('No SingleSignOnService observed (IdP-initiated flow?); at least one is required'));
+    line(1, '</md:IDPSSODescriptor>');
+  }
+
+  line(0, '</md:EntityDescriptor>');
+  return out.join('\n');
+}
@@ -0,0 +1,105 @@
+// Redirect chain: top-level navigations and redirects recorded between SAML messages, shown collapsed
+
+const REDIRECT_CHAIN_KEY = 'recordRedirectChain';
+
+const expandedNavigationGroups = new Set(); // First hop id of the groups the user opened
+
+function getRecordRedirectChain() {
+  try {
+    return localStorage.getItem(REDIRECT_CHAIN_KEY) === 'true';
+  } catch (e) {
+    return false;
+  }
+}
+
+// Throws when localStorage is full so the caller can report it
+function setRecordRedirectChain(enabled) {
+  if (enabled) localStorage.setItem(REDIRECT_CHAIN_KEY, 'true');
+  else localStorage.removeItem(REDIRECT_CHAIN_KEY);
+}
+
+// A hop that carried a captured message is already shown as that message
+function navigationCarriesMessage(hop, messages) {
+  return messages.some(m => m.requestId === hop.requestId && m.url === hop.url);
+}
+
+// Map<message id, hops started before it and after the previous message>; hops after the last message are keyed null
+function navigationGroups(items, navigations) {
+  const groups = new Map();
+  const times = items.map(m => Date.parse(m.time));
+  for (const hop of navigations) {
+    if (navigationCarriesMessage(hop, items)) continue;
+    const at = Date.parse(hop.time);
+    const next = items.find((m, i) => times[i] >= at);
+    const key = next ? next.id : null;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(hop);
+  }
+  return groups;
+}
+
+// Host and path only: query strings in a redirect chain are long and mostly opaque
+function navigationUrlText(url) {
+  try {
+    const u = new URL(url);
+    return `${u.host}${u.pathname}`;
+  } catch (_) {
+    return url || '';
+  }
+}
+
+function navigationFailed(hop) {
+  return Boolean(hop.error) || hop.statusCode >= 400;
+}
+
+function formatDuration(ms) {
+  return ms >= 1000 ? `${(ms / 1000).toFixed(ms >= 10000 ? 0 : 1)} s` : `${ms} ms`;
+}
+
+function navigationSummaryText(hops) {
+  const redirects = hops.filter(hop => hop.location).length;
+  const first = Date.parse(hops[0].time);
+  const last = hops[hops.length - 1];
+  const parts = [`${hops.length} navigation${hops.length === 1 ? '' : 's'}`];
+  if (redirects) parts.push(`${redirects} redirect${redirects === 1 ? '' : 's'}`);
+  if (last.duration !== null) parts.push(formatDuration(Date.parse(last.time) + last.duration - first));
+  const hosts = [...new Set(hops.map(hop => urlHost(hop.url)).filter(Boolean))];
+  if (hosts.length) parts.push(hosts.join(', '));
+  return parts.join(' · ');
+}
+
+function renderNavigationHop(hop) {
+  const outcome = hop.error
+    ? el('span', { class: 'badge badge-lint lint-error', title: hop.error }, 'Failed')
+    : el('span', { class: `badge badge-status${hop.statusCode >= 400 ? ' nav-status-failed' : ''}` }, hop.statusCode ? String(hop.statusCode) : 'Pending');
+  return el('li', { class: 'nav-hop', title: [hop.url, hop.location && `Location: ${hop.location}`, hop.error].filter(Boolean).join('\n') },
+    el('span', { class: 'nav-hop-time' }, formatTime(hop.time)),
+    el('span', { class: 'nav-hop-method' }, hop.method || 'GET'),
+    outcome,
+    el('span', { class: 'nav-hop-url' }, navigationUrlText(hop.url)),
+    hop.location ? el('span', { class: 'nav-hop-location' }, `→ ${navigationUrlText(hop.location)}`) : null,
+    hop.duration !== null ? el('span', { class: 'nav-hop-duration' }, formatDuration(hop.duration)) : null
+  );
+}
+
+// Collapsed run of hops; stays open across refreshes once the user expands it
+function renderNavigationGroup(tag, hops, attrs = {}) {
+  const key = hops[0].id;
+  const failed = hops.filter(navigationFailed).length;
+  const hopList = el('ol', { class: 'nav-hops' }, ...hops.map(renderNavigationHop));
+  const toggle = el('button', { class: 'nav-group-toggle', type: 'button', title: 'Show or hide the pages and redirects in between' },
+    el('span', { class: 'nav-group-caret' }),
+    el('span', { class: 'nav-group-summary' }, navigationSummaryText(hops)),
+    failed ? el('span', { class: 'badge badge-lint lint-error' }, `${failed} failed`) : null
+  );
+  const group = el(tag, { ...attrs, class: `nav-group${attrs.class ? ` ${attrs.class}` : ''}` }, toggle, hopList);
+  const setExpanded = (expanded) => {
+    group.classList.toggle('nav-group-expanded', expanded);
+    hopList.style.display = expanded ? '' : 'none';
+    if (expanded) expandedNavigationGroups.add(key);
+    else expandedNavigationGroups.delete(key);
+  };
+  setExpanded(expandedNavigationGroups.has(key));
+  toggle.addEventListener('click', () => setExpanded(!group.classList.contains('nav-group-expanded')));
+  return group;
+}
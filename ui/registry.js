@@ -0,0 +1,248 @@
+// Known-entity registry: every entityID seen in captures or metadata, with endpoints and signing certificates over time
+
+const ENTITY_REGISTRY_KEY = 'entityRegistry';
+
+// A signing certificate first seen this recently, replacing an older one, is flagged as a rollover
+const CERT_ROLLOVER_NOTICE_MS = 7 * 24 * 60 * 60 * 1000;
+
+const REGISTRY_SERVICES = [
+  ['sp', 'acs', 'AssertionConsumerService'],
+  ['idp', 'sso', 'SingleSignOnService'],
+  ['sp', 'slo', 'SingleLogoutService'],
+  ['idp', 'slo', 'SingleLogoutService'],
+  ['sp', 'ars', 'ArtifactResolutionService'],
+  ['idp', 'ars', 'ArtifactResolutionService']
+];
+
+const certificateFingerprintCache = new Map(); // Map<base64, { sha1, sha256 }>
+let lastRecordedSession = null;
+
+// Stored as { [entityID]: { entityID, roles, sources, firstSeen, lastSeen, endpoints, certificates } }
+function getEntityRegistry() {
+  try {
+    return JSON.parse(localStorage.getItem(ENTITY_REGISTRY_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// Throws when localStorage is full so the caller can report it
+function setEntityRegistry(registry) {
+  if (Object.keys(registry).length) localStorage.setItem(ENTITY_REGISTRY_KEY, JSON.stringify(registry));
+  else localStorage.removeItem(ENTITY_REGISTRY_KEY);
+}
+
+function forgetEntity(entityID) {
+  const registry = getEntityRegistry();
+  delete registry[entityID];
+  setEntityRegistry(registry);
+}
+
+function cachedFingerprints(b64) {
+  return certificateFingerprintCache.get(b64) || null;
+}
+
+async function fingerprintCertificates(b64s) {
+  for (const b64 of b64s) {
+    if (certificateFingerprintCache.has(b64)) continue;
+    const der = b64ToBytes(b64);
+    if (der) certificateFingerprintCache.set(b64, await certificateFingerprints(der));
+  }
+}
+
+function messageSigner(parsed) {
+  return parsed.messageIssuer || parsed.assertionIssuers.find(Boolean) || parsed.issuer || null;
+}
+
+// What one source says about entities: [{ entityID, roles, source, from, to, endpoints, certificates }]
+function captureObservations(msgs) {
+  const live = msgs.filter(m => messageReceivedAt(m) !== null);
+  if (!live.length) return [];
+  const times = live.map(messageReceivedAt);
+  const from = Math.min(...times);
+  const to = Math.max(...times);
+  const byId = new Map();
+  const observation = (entityID) => {
+    if (!byId.has(entityID)) byId.set(entityID, { entityID, roles: [], source: 'capture', from, to, endpoints: [], certificates: [] });
+    return byId.get(entityID);
+  };
+
+  for (const draft of draftMetadata(live)) {
+    const obs = observation(draft.entityID);
+    for (const [role, list, service] of REGISTRY_SERVICES) {
+      if (!draft[role]) continue;
+      if (!obs.roles.includes(role)) obs.roles.push(role);
+      for (const e of draft[role][list]) obs.endpoints.push({ service, binding: e.binding, location: e.location });
+    }
+  }
+  for (const m of live) {
+    if (m.kind === 'SAMLArtifact') continue;
+    const parsed = parseSaml(messageXml(m));
+    const signer = parsed && messageSigner(parsed);
+    if (!signer) continue;
+    for (const b64 of signatureCertificates(messageXml(m))) observation(signer).certificates.push({ b64, at: messageReceivedAt(m) });
+  }
+  return Array.from(byId.values());
+}
+
+function metadataObservations(metadata) {
+  const loadedAt = new Map(getMetadataSources().map(s => [s.name, Date.parse(s.loadedAt) || Date.now()]));
+  return Array.from(metadata.values()).map(entity => {
+    const at = loadedAt.get(entity.source) || Date.now();
+    const endpoints = [];
+    const add = (service, list) => (list || []).forEach(e => endpoints.push({ service, binding: e.binding, location: e.location }));
+    if (entity.sp) {
+      add('AssertionConsumerService', entity.sp.acs);
+      add('SingleLogoutService', entity.sp.singleLogout);
+      add('ArtifactResolutionService', entity.sp.artifactResolution);
+    }
+    if (entity.idp) {
+      add('SingleSignOnService', entity.idp.sso);
+      add('SingleLogoutService', entity.idp.singleLogout);
+      add('ArtifactResolutionService', entity.idp.artifactResolution);
+    }
+    return {
+      entityID: entity.entityID,
+      roles: ['sp', 'idp'].filter(r => entity[r]),
+      source: 'metadata',
+      from: at,
+      to: at,
+      endpoints,
+      certificates: entitySigningCertificates(entity).map(b64 => ({ b64, at }))
+    };
+  });
+}
+
+function mergeObservation(registry, obs) {
+  const from = new Date(obs.from).toISOString();
+  const to = new Date(obs.to).toISOString();
+  const record = registry[obs.entityID] || { entityID: obs.entityID, roles: [], sources: [], firstSeen: from, lastSeen: to, endpoints: [], certificates: [] };
+  registry[obs.entityID] = record;
+  if (from < record.firstSeen) record.firstSeen = from;
+  if (to > record.lastSeen) record.lastSeen = to;
+  for (const role of obs.roles) if (!record.roles.includes(role)) record.roles.push(role);
+  if (!record.sources.includes(obs.source)) record.sources.push(obs.source);
+
+  for (const e of obs.endpoints) {
+    const existing = record.endpoints.find(x => x.service === e.service && x.binding === e.binding && x.location === e.location);
+    if (existing) {
+      if (from < existing.firstSeen) existing.firstSeen = from;
+      if (to > existing.lastSeen) existing.lastSeen = to;
+    } else {
+      record.endpoints.push({ ...e, firstSeen: from, lastSeen: to });
+    }
+  }
+
+  for (const c of obs.certificates) {
+    const fingerprints = cachedFingerprints(c.b64);
+    if (!fingerprints) continue;
+    const seen = new Date(c.at).toISOString();
+    const existing = record.certificates.find(x => x.sha256 === fingerprints.sha256);
+    if (existing) {
+      if (seen < existing.firstSeen) existing.firstSeen = seen;
+      if (seen > existing.lastSeen) existing.lastSeen = seen;
+      if (!existing.sources.includes(obs.source)) existing.sources.push(obs.source);
+      continue;
+    }
+    const cert = parseCertificate(b64ToBytes(c.b64));
+    record.certificates.push({
+      sha256: fingerprints.sha256,
+      sha1: fingerprints.sha1,
+      subject: cert ? cert.subject : null,
+      notAfter: cert && cert.notAfter !== null ? new Date(cert.notAfter).toISOString() : null,
+      firstSeen: seen,
+      lastSeen: seen,
+      sources: [obs.source]
+    });
+  }
+}
+
+// Fold the current session and loaded metadata into the registry; skipped when nothing changed
+async function recordEntities(msgs, metadata) {
+  const key = `${msgs.map(m => m.id).join(',')}|${getMetadataSources().map(s => `${s.name}@${s.loadedAt}`).join(',')}`;
+  if (key === lastRecordedSession) return;
+  const observations = [...metadataObservations(metadata), ...captureObservations(msgs)];
+  await fingerprintCertificates(observations.flatMap(o => o.certificates.map(c => c.b64)));
+  const registry = getEntityRegistry();
+  observations.forEach(obs => mergeObservation(registry, obs));
+  try {
+    setEntityRegistry(registry);
+    lastRecordedSession = key;
+  } catch (error) {
+    console.error('[SAMLView] Entity registry could not be saved:', error);
+  }
+}
+
+function shortFingerprint(sha256) {
+  return `${sha256.slice(0, 23)}…`;
+}
+
+const REGISTRY_LINT_RULES = [
+  {
+    id: 'certificate-rollover',
+    check({ parsed, xml, receivedAt, registry }) {
+      const signer = messageSigner(parsed);
+      const record = signer && registry[signer];
+      if (!record) return [];
+      const at = receivedAt === null ? Date.now() : receivedAt;
+      const findings = [];
+      for (const b64 of new Set(signatureCertificates(xml))) {
+        const fingerprints = cachedFingerprints(b64);
+        const cert = fingerprints && record.certificates.find(c => c.sha256 === fingerprints.sha256);
+        if (!cert || at - Date.parse(cert.firstSeen) > CERT_ROLLOVER_NOTICE_MS) continue;
+        const previous = record.certificates
+          .filter(c => c.sha256 !== cert.sha256 && c.firstSeen < cert.firstSeen)
+          .sort((a, b) => b.lastSeen.localeCompare(a.lastSeen))[0];
+        if (!previous) continue;
+        findings.push({
+          severity: 'warning',
+          message: `${signer} signed with a new certificate (SHA-256 ${shortFingerprint(cert.sha256)}, first seen ${cert.firstSeen}); it was previously recorded with SHA-256 ${shortFingerprint(previous.sha256)}, last seen ${previous.lastSeen}`
+        });
+      }
+      return findings;
+    }
+  },
+  {
+    id: 'certificate-expiry',
+    check({ xml, receivedAt }) {
+      const at = receivedAt === null ? Date.now() : receivedAt;
+      const findings = [];
+      for (const b64 of new Set(signatureCertificates(xml))) {
+        const der = b64ToBytes(b64);
+        const cert = der ? parseCertificate(der) : null;
+        if (!cert) continue;
+        const status = certificateStatus(cert, at);
+        const name = x509CommonName(cert.subject);
+        if (status === 'expired') {
+          findings.push({ severity: 'error', message: `Signing certificate ${name} expired ${new Date(cert.notAfter).toISOString()}` });
+        } else if (status === 'not-yet-valid') {
+          findings.push({ severity: 'error', message: `Signing certificate ${name} is not valid before ${new Date(cert.notBefore).toISOString()}` });
+        } else if (status === 'expiring') {
+          const days = Math.max(1, Math.round((cert.notAfter - at) / 86400000));
+          findings.push({ severity: 'warning', message: `Signing certificate ${name} expires in ${days} day${days === 1 ? '' : 's'} (${new Date(cert.notAfter).toISOString()})` });
+        }
+      }
+      return findings;
+    }
+  }
+];
+
+LINT_RULES.push(...REGISTRY_LINT_RULES);
+
+// Short text for certificate findings shown on diagram steps
+function certificateFlagLabel(finding) {
+  if (finding.rule === 'certificate-rollover') return 'New certificate';
+  if (finding.message.includes('expires in')) return 'Expiring soon';
+  return finding.message.includes('not valid before') ? 'Not yet valid' : 'Expired';
+}
+
+// Status of a recorded certificate; only notAfter is kept, so "not yet valid" cannot be told apart
+function registryCertificateStatus(cert, at = Date.now()) {
+  if (!cert.notAfter) return null;
+  return certificateStatus({ notBefore: null, notAfter: Date.parse(cert.notAfter) }, at);
+}
+
+function formatRegistryDate(isoString) {
+  const d = new Date(isoString);
+  return Number.isNaN(d.getTime()) ? isoString : d.toLocaleString();
+}
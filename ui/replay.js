@@ -0,0 +1,77 @@
+// Edit and replay: re-encode a (modified) message for its original binding and resend it from a new tracked tab
+
+// Transports a message can be replayed on, by the binding they were captured with
+const REPLAY_BINDINGS = {
+  GET: 'HTTP-Redirect',
+  'REDIRECT(res)': 'HTTP-Redirect',
+  POST: 'HTTP-POST',
+  'HTML-FORM(res)': 'HTTP-POST'
+};
+
+// Query parameters the Redirect binding owns; everything else in the original URL is kept
+const REDIRECT_BINDING_PARAMS = ['SAMLRequest', 'SAMLResponse', 'RelayState', 'SigAlg', 'Signature'];
+
+function replayBinding(m) {
+  if (m.kind !== 'SAMLRequest' && m.kind !== 'SAMLResponse') return null;
+  return REPLAY_BINDINGS[m.transport] || null;
+}
+
+// { method, url, fields } for the replay page; fields are only used for POST
+async function encodeReplay(m, xml, relayState) {
+  const bytes = new TextEncoder().encode(xml);
+  const binding = replayBinding(m);
+  if (binding === 'HTTP-Redirect') {
+    const value = bytesToB64(await deflateRaw(bytes));
+    const [base, query = ''] = m.url.split('#')[0].split('?');
+    const kept = query.split('&').filter(part => part && !REDIRECT_BINDING_PARAMS.includes(decodeURIComponent(part.split('=')[0])));
+    const params = [`${m.kind}=${encodeURIComponent(value)}`];
+    if (relayState) params.push(`RelayState=${encodeURIComponent(relayState)}`);
+    return { method: 'GET', url: `${base}?${[...kept, ...params].join('&')}`, fields: [] };
+  }
+  if (binding === 'HTTP-POST') {
+    const fields = [{ name: m.kind, value: bytesToB64(bytes) }];
+    if (relayState) fields.push({ name: 'RelayState', value: relayState });
+    return { method: 'POST', url: m.url, fields };
+  }
+  throw new Error(`${m.transport} messages cannot be replayed`);
+}
+
+function openReplayDialog(m) {
+  const messageContainer = document.getElementById('messageContainer');
+  const binding = replayBinding(m);
+  const textarea = el('textarea', { class: 'dialog-textarea replay-xml', rows: '16', spellcheck: 'false' });
+  textarea.value = m.xml;
+  const relayInput = el('input', { type: 'text', class: 'search-input', spellcheck: 'false', placeholder: 'RelayState (empty to send none)', title: 'RelayState' });
+  relayInput.value = m.relayState || '';
+  const signed = m.redirectSignature || /<(\w+:)?Signature[\s>]/.test(m.xml);
+
+  const body = el('div', { class: 'dialog-form' },
+    el('p', { class: 'dialog-help' }, `Sent as ${m.kind} with the ${binding} binding to ${m.url.split('?')[0]} from a new tab in this capture. The replayed message shows up as a new entry linked to #${m.id}.`),
+    signed ? el('p', { class: 'dialog-help replay-warning' }, binding === 'HTTP-Redirect'
+      ? 'The SigAlg and Signature query parameters are dropped, and XML signatures are not recomputed after edits.'
+      : 'XML signatures are not recomputed: any edit to signed content invalidates them.') : null,
+    textarea,
+    relayInput
+  );
+
+  openDialog(`Edit & Replay #${m.id}`, body, [
+    { label: 'Cancel', class: 'btn-ghost' },
+    {
+      label: 'Replay',
+      class: 'btn-primary',
+      onClick: async () => {
+        const xml = textarea.value.trim();
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        if (!xml || doc.getElementsByTagName('parsererror').length) {
+          showError('The edited message is not well-formed XML', messageContainer);
+          return false;
+        }
+        const request = await encodeReplay(m, xml, relayInput.value);
+        const windowId = await getWindowId();
+        await browser.runtime.sendMessage({ type: 'replayMessage', windowId, sourceId: m.id, request });
+        showSuccess(`Replaying #${m.id} in a new tab`, messageContainer);
+      }
+    }
+  ]);
+  textarea.focus();
+}
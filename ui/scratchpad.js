@@ -0,0 +1,281 @@
+// Scratchpad: paste a SAML message in any encoding and peel off the layers, or paste XML to encode it
+
+const SCRATCHPAD_MAX_LAYERS = 12;
+const SCRATCHPAD_PREVIEW_LENGTH = 300;
+
+// Binding parameter names as the capture code reports them
+const SAML_PARAMETER_NAMES = { SAMLRequest: 'SAMLRequest', SAMLResponse: 'SAMLResponse', SAMLart: 'SAMLArtifact' };
+const SAML_PARAMETER_PATTERN = /(^|[?&])(SAMLRequest|SAMLResponse|SAMLart)=/;
+
+let scratchpadInput = '';
+let scratchpadRun = 0;
+
+// Form decoding turns a literal + into a space; base64 never contains spaces, so put them back
+function restoreBase64Plus(value) {
+  return /^[A-Za-z0-9+/=]+( [A-Za-z0-9+/=]*)+$/.test(value) ? value.replace(/ /g, '+') : value;
+}
+
+function formSamlParameter(text) {
+  const start = text.search(SAML_PARAMETER_PATTERN);
+  if (start < 0) return null;
+  const params = new URLSearchParams(text.slice(start).replace(/^[?&]/, '').trim());
+  const key = Object.keys(SAML_PARAMETER_NAMES).find(k => params.has(k));
+  return { name: SAML_PARAMETER_NAMES[key], value: restoreBase64Plus(params.get(key)), relayState: params.get('RelayState') };
+}
+
+// First SAML parameter in a HAR or any other JSON: URLs, form bodies, name/value pairs or SAML-named properties
+function jsonSamlParameter(value, path = '') {
+  if (typeof value === 'string') {
+    const found = /^https?:\/\//i.test(value) ? formSamlParameter(value.split('#')[0]) : (SAML_PARAMETER_PATTERN.test(value) ? formSamlParameter(value) : null);
+    return found ? { ...found, where: path || 'string' } : null;
+  }
+  if (Array.isArray(value)) {
+    // HAR queryString and postData.params are [{ name, value }]
+    const pair = value.find(p => p && SAML_PARAMETER_NAMES[p.name] && typeof p.value === 'string');
+    if (pair) {
+      const relay = value.find(p => p && p.name === 'RelayState');
+      return { name: SAML_PARAMETER_NAMES[pair.name], value: pair.value, relayState: relay ? relay.value : null, where: path };
+    }
+    for (let i = 0; i < value.length; i++) {
+      const found = jsonSamlParameter(value[i], `${path}[${i}]`);
+      if (found) return found;
+    }
+    return null;
+  }
+  if (value && typeof value === 'object') {
+    for (const [key, child] of Object.entries(value)) {
+      if (SAML_PARAMETER_NAMES[key] && typeof child === 'string') {
+        return { name: SAML_PARAMETER_NAMES[key], value: child, relayState: typeof value.RelayState === 'string' ? value.RelayState : null, where: path ? `${path}.${key}` : key };
+      }
+    }
+    for (const [key, child] of Object.entries(value)) {
+      const found = jsonSamlParameter(child, path ? `${path}.${key}` : key);
+      if (found) return found;
+    }
+  }
+  return null;
+}
+
+// Printable text, as opposed to compressed or otherwise binary data
+function bytesAsText(bytes) {
+  const textValue = bytesToUtf8(bytes);
+  return textValue && !/[\uFFFD\x00-\x08\x0E-\x1F]/.test(textValue) ? textValue : null;
+}
+
+// One decoding step: { label, detail, output, name?, relayState?, artifact? }, or null when nothing applies
+async function peelSamlLayer(current, name) {
+  if (current instanceof Uint8Array) {
+    const inflated = await maybeInflateDeflateRaw(current);
+    if (inflated === current) return null;
+    return { label: 'Deflate (raw)', detail: `${current.length} → ${inflated.length} bytes`, output: bytesAsText(inflated) || inflated };
+  }
+
+  if (/^[[{]/.test(current)) {
+    let json;
+    try {
+      json = JSON.parse(current);
+    } catch (e) {
+      json = null;
+    }
+    const found = json && jsonSamlParameter(json);
+    if (found) return { label: json.log ? 'HAR' : 'JSON', detail: `${found.name} at ${found.where}`, output: found.value, name: found.name, relayState: found.relayState };
+  }
+
+  if (/^https?:\/\//i.test(current)) {
+    const url = current.split(/\s/)[0];
+    const found = extractFromQuery(url);
+    if (found) {
+      const signed = found.redirectSignature ? ` (signed with ${found.redirectSignature.sigAlg.split('#').pop()})` : '';
+      const relayState = new URL(url).searchParams.get('RelayState');
+      return { label: 'URL', detail: `${found.name} query parameter of ${url.split('?')[0]}${signed}`, output: restoreBase64Plus(found.value), name: found.name, relayState };
+    }
+  }
+
+  if (SAML_PARAMETER_PATTERN.test(current)) {
+    const found = formSamlParameter(current);
+    return { label: 'Form / query string', detail: `${found.name} parameter`, output: found.value, name: found.name, relayState: found.relayState };
+  }
+
+  if (/%[0-9A-Fa-f]{2}/.test(current)) {
+    try {
+      const decoded = decodeURIComponent(current);
+      if (decoded !== current) return { label: 'URL decoding', detail: `${current.length} → ${decoded.length} characters`, output: decoded.trim() };
+    } catch (e) {
+      // Not valid percent-encoding; try the remaining layers
+    }
+  }
+
+  // Line-wrapped base64 is common in tickets; spaces inside a line mean it is something else
+  const compact = current.replace(/[\r\n\t]+/g, '');
+  if (compact.length >= 8 && /^[A-Za-z0-9+/_-]+={0,2}$/.test(compact)) {
+    const urlSafe = /[-_]/.test(compact);
+    const bytes = b64ToBytes(urlSafe ? compact.replace(/-/g, '+').replace(/_/g, '/') : compact);
+    if (!bytes) return null;
+    const detail = `${compact.length} characters → ${bytes.length} bytes${urlSafe ? ' (base64url alphabet)' : ''}`;
+    const textValue = bytesAsText(bytes);
+    // SAML 2.0 (type 0x0004, 44 bytes) and SAML 1.x (type 0x0001, 42 bytes) artifacts are recognizable on their own
+    const artifactShaped = !textValue && bytes[0] === 0 && ((bytes[1] === 4 && bytes.length === 44) || (bytes[1] === 1 && bytes.length === 42));
+    if (name === 'SAMLArtifact' || artifactShaped) return { label: 'Base64', detail, output: bytes, artifact: compact };
+    return { label: 'Base64', detail, output: textValue || bytes };
+  }
+  return null;
+}
+
+// { steps, xml, artifact, name, relayState, error }
+async function peelSamlLayers(input) {
+  const result = { steps: [], xml: null, artifact: null, name: null, relayState: null, error: null };
+  let current = input.trim();
+  for (let i = 0; i < SCRATCHPAD_MAX_LAYERS; i++) {
+    if (typeof current === 'string' && looksLikeXML(current)) {
+      result.xml = current;
+      return result;
+    }
+    const layer = await peelSamlLayer(current, result.name);
+    if (!layer) {
+      result.error = current instanceof Uint8Array
+        ? `${current.length} bytes that are neither text nor deflate-raw data`
+        : 'No further encoding recognized';
+      return result;
+    }
+    result.steps.push(layer);
+    if (layer.name) result.name = layer.name;
+    if (layer.relayState) result.relayState = layer.relayState;
+    if (layer.artifact) {
+      result.artifact = layer.artifact;
+      return result;
+    }
+    current = typeof layer.output === 'string' ? layer.output.trim() : layer.output;
+  }
+  result.error = `Stopped after ${SCRATCHPAD_MAX_LAYERS} layers`;
+  return result;
+}
+
+// The message in each binding's encoding
+async function encodeSamlXml(xml, name, relayState) {
+  const parsed = parseSaml(xml);
+  const parameter = name && name !== 'SAMLArtifact'
+    ? name
+    : (parsed && /(Request|Query|Resolve)$/.test(parsed.root) ? 'SAMLRequest' : 'SAMLResponse');
+  const bytes = new TextEncoder().encode(xml);
+  const deflated = bytesToB64(await deflateRaw(bytes));
+  const relay = relayState ? `&RelayState=${encodeURIComponent(relayState)}` : '';
+  return [
+    { label: 'Base64 (HTTP-POST)', value: bytesToB64(bytes) },
+    { label: 'Deflate + Base64 (HTTP-Redirect)', value: deflated },
+    { label: 'Redirect query string', value: `${parameter}=${encodeURIComponent(deflated)}${relay}` }
+  ];
+}
+
+function scratchpadPreview(output) {
+  if (output instanceof Uint8Array) {
+    return `${output.length} bytes: ${bytesToHex(output.subarray(0, 32)).replace(/(..)/g, '$1 ').trim()}${output.length > 32 ? ' …' : ''}`;
+  }
+  return output.length > SCRATCHPAD_PREVIEW_LENGTH ? `${output.slice(0, SCRATCHPAD_PREVIEW_LENGTH)}…` : output;
+}
+
+function renderScratchpadSteps(result) {
+  const list = el('ol', { class: 'scratchpad-steps' },
+    ...result.steps.map(step => el('li', {},
+      el('div', {}, el('strong', {}, step.label), ' ', el('span', { class: 'scratchpad-detail' }, step.detail)),
+      el('div', { class: 'scratchpad-preview' }, scratchpadPreview(step.output))
+    ))
+  );
+  if (result.xml) list.appendChild(el('li', {}, el('strong', {}, 'XML'), ' ', el('span', { class: 'scratchpad-detail' }, `${result.xml.length} characters`)));
+  return list;
+}
+
+async function renderScratchpadEncodings(xml, name, relayState) {
+  const box = el('div', { class: 'scratchpad-encodings' });
+  for (const encoding of await encodeSamlXml(xml, name, relayState)) {
+    const output = el('textarea', { class: 'dialog-textarea', rows: '3', readonly: '' });
+    output.value = encoding.value;
+    const copyBtn = el('button', { class: 'btn btn-ghost', type: 'button' }, 'Copy');
+    copyBtn.addEventListener('click', () => copyToClipboard(encoding.value, encoding.label));
+    box.appendChild(el('div', { class: 'scratchpad-encoding-header' }, el('strong', {}, encoding.label), copyBtn));
+    box.appendChild(output);
+  }
+  return box;
+}
+
+async function importScratchpadXml(xml) {
+  const messageContainer = document.getElementById('messageContainer');
+  const windowId = await getWindowId();
+  const result = await browser.runtime.sendMessage({ type: 'importMessages', windowId, items: [xml] });
+  if (result && result.imported) showSuccess('Imported into the session', messageContainer);
+  else showError('Not imported: the session already has this message', messageContainer);
+}
+
+async function runScratchpad() {
+  const results = document.getElementById('scratchpadResults');
+  if (!results) return;
+  const run = ++scratchpadRun;
+  const input = scratchpadInput;
+  const content = [];
+  if (input.trim()) {
+    const result = await peelSamlLayers(input);
+    if (result.steps.length) content.push(el('h3', {}, 'Decoding'), renderScratchpadSteps(result));
+    if (result.error) content.push(el('div', { class: 'scratchpad-error' }, result.error));
+    if (result.artifact) {
+      const sourceIds = await buildSourceIdIndex(knownEntityIds(await fetchMessages()));
+      const info = decodeSamlArtifact(result.artifact);
+      const artifactInfo = info ? { ...info, entityId: info.sourceId ? sourceIds.get(info.sourceId) || null : null } : null;
+      content.push(el('h3', {}, 'Artifact'), renderArtifactDetails({ artifactInfo }));
+    }
+    if (result.xml) {
+      const importBtn = el('button', { class: 'btn btn-primary', type: 'button' }, 'Import into Session');
+      importBtn.addEventListener('click', () => importScratchpadXml(result.xml).catch(error => {
+        console.error('[SAMLView] Scratchpad import failed:', error);
+        showError('Import failed', document.getElementById('messageContainer'));
+      }));
+      const summary = renderSummary(result.xml);
+      const view = createXmlView(result.xml);
+      linkSummaryToXml(summary, () => view, () => {});
+      linkXmlToSummary(view, summary);
+      content.push(
+        el('div', { class: 'scratchpad-actions' }, el('h3', {}, 'Message'), importBtn),
+        summary,
+        el('h3', {}, 'Encoded'),
+        await renderScratchpadEncodings(result.xml, result.name, result.relayState),
+        el('h3', {}, 'XML'),
+        view.element
+      );
+    }
+  }
+  // A newer run started while this one was decoding
+  if (run !== scratchpadRun) return;
+  results.innerHTML = '';
+  results.append(...content);
+}
+
+function renderScratchpad() {
+  const container = document.getElementById('scratchpadContainer');
+  if (!container || document.getElementById('scratchpadInput')) return;
+
+  const backBtn = el('button', { class: 'btn btn-ghost', type: 'button' }, '← Back to Messages');
+  backBtn.addEventListener('click', () => setView('list'));
+  const input = el('textarea', {
+    id: 'scratchpadInput',
+    class: 'dialog-textarea scratchpad-input',
+    rows: '8',
+    spellcheck: 'false',
+    placeholder: 'Base64, deflated base64, URL-encoded values, redirect URLs, form bodies, HAR entries or XML'
+  });
+  input.value = scratchpadInput;
+  input.addEventListener('input', debounce(() => {
+    scratchpadInput = input.value;
+    runScratchpad().catch(error => console.error('[SAMLView] Scratchpad decoding failed:', error));
+  }, 300));
+
+  container.innerHTML = '';
+  container.append(
+    el('div', { class: 'library-header' },
+      el('h2', {}, 'Scratchpad'),
+      el('span', { class: 'library-count' }, 'Decodes pasted SAML layer by layer; XML is encoded for each binding'),
+      backBtn
+    ),
+    input,
+    el('div', { id: 'scratchpadResults', class: 'scratchpad-results' })
+  );
+  input.focus();
+  runScratchpad().catch(error => console.error('[SAMLView] Scratchpad decoding failed:', error));
+}
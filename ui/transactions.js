@@ -0,0 +1,106 @@
+// Login transactions: one capture split into its separate flows (retries, other users, other SPs)
+
+const TRANSACTION_GAP_MS = 5 * 60 * 1000; // Idle time after which an unrelated message starts a new transaction
+
+let selectedTransaction = null; // Index picked in the toolbar; null shows every transaction
+let transactionById = new Map(); // Message id -> transaction of the last refresh
+
+// Messages that belong together whatever comes in between: request/response and artifact pairs, and
+// response-side copies with the message they were delivered as and the request they answer
+function transactionLinks(items, correlation, parsedById) {
+  const linked = new Map(items.map(m => [m.id, []]));
+  const link = (a, b) => {
+    if (!linked.has(a) || !linked.has(b)) return;
+    linked.get(a).push(b);
+    linked.get(b).push(a);
+  };
+  for (const l of correlation.links) {
+    if (l.kind !== 'session') link(l.from, l.to);
+  }
+  const requestsByXmlId = new Map();
+  for (const m of items) {
+    const parsed = parsedById.get(m.id);
+    if (samlMessageType(m).direction === 'request' && parsed && parsed.id && !requestsByXmlId.has(parsed.id)) requestsByXmlId.set(parsed.id, m.id);
+  }
+  for (const m of items) {
+    const { copyOf } = correlation.byMessage.get(m.id);
+    if (!copyOf) continue;
+    link(m.id, copyOf);
+    const parsed = parsedById.get(m.id);
+    if (parsed && parsed.inResponseTo && requestsByXmlId.has(parsed.inResponseTo)) link(m.id, requestsByXmlId.get(parsed.inResponseTo));
+  }
+  return linked;
+}
+
+// [{ index, items }] in capture order. A message joins the transaction of a message it is linked to.
+// Otherwise it continues a recent transaction still waiting for a response (the one with its RelayState,
+// else the current one) unless it repeats a request waiting there, which starts a retry.
+function splitTransactions(items) {
+  const correlation = correlateMessages(items);
+  const parsedById = new Map(items.map(m => [m.id, m.kind === 'SAMLArtifact' ? null : parseSaml(messageXml(m))]));
+  const linked = transactionLinks(items, correlation, parsedById);
+  const types = new Map(items.map(m => [m.id, samlMessageType(m)]));
+  const issuerOf = (id) => (parsedById.get(id) || {}).issuer || null;
+
+  const transactions = [];
+  const byId = new Map();
+  const waitingRequests = (t) => t.items.filter(r => {
+    const c = correlation.byMessage.get(r.id);
+    return types.get(r.id).direction === 'request' && !c.copyOf && !c.responseIds.some(id => byId.get(id) === t);
+  });
+  const lastTime = (t) => Date.parse(t.items[t.items.length - 1].time);
+
+  let current = null;
+  for (const m of items) {
+    let transaction = linked.get(m.id).map(id => byId.get(id)).filter(Boolean).pop() || null;
+    if (!transaction) {
+      const at = Date.parse(m.time);
+      const type = types.get(m.id);
+      const open = transactions.filter(t => at - lastTime(t) <= TRANSACTION_GAP_MS && waitingRequests(t).length);
+      const candidate = (m.relayState && open.find(t => t.items.some(c => c.relayState === m.relayState)))
+        || (open.includes(current) ? current : null);
+      const retry = candidate && type.direction === 'request'
+        && waitingRequests(candidate).some(r => types.get(r.id).type === type.type && issuerOf(r.id) === issuerOf(m.id));
+      if (candidate && !retry) transaction = candidate;
+    }
+    if (!transaction) {
+      transaction = { index: transactions.length + 1, items: [] };
+      transactions.push(transaction);
+    }
+    transaction.items.push(m);
+    byId.set(m.id, transaction);
+    current = transaction;
+  }
+  return transactions;
+}
+
+// When it started, who started it and how it ended
+function transactionLabel(t) {
+  const first = t.items[0];
+  const last = t.items[t.items.length - 1];
+  const parsed = first.kind === 'SAMLArtifact' ? null : parseSaml(messageXml(first));
+  const party = (parsed && parsed.issuer) || urlHost(first.url) || first.url;
+  return `${formatTime(first.time)} · ${party} · ${flowOutcome(last, samlMessageType(last), new Map()).text}`;
+}
+
+// Recorded navigations shown with the transaction: the ones before each of its messages, and the trailing ones for the last transaction
+function transactionNavigations(t, transactions, items, navigations) {
+  const hopsBefore = navigationGroups(items, navigations);
+  const ids = new Set(t.items.map(m => m.id));
+  if (t === transactions[transactions.length - 1]) ids.add(null);
+  return [...hopsBefore].filter(([key]) => ids.has(key)).flatMap(([, hops]) => hops);
+}
+
+// Toolbar picker; hidden while the capture holds a single transaction
+function renderTransactionPicker(transactions) {
+  const picker = document.getElementById('transactionSelector');
+  if (!picker) return;
+  picker.style.display = transactions.length > 1 ? '' : 'none';
+  picker.innerHTML = '';
+  picker.appendChild(el('option', { value: '' }, `All transactions (${transactions.length})`));
+  for (const t of transactions) {
+    const label = `${t.index}. ${transactionLabel(t)}`;
+    picker.appendChild(el('option', { value: String(t.index), title: label }, label));
+  }
+  picker.value = selectedTransaction ? String(selectedTransaction) : '';
+}
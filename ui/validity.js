@@ -0,0 +1,94 @@
+// Clock skew and validity windows: SAML timestamps compared with when the message was captured
+
+// Default allowance for clock differences when checking validity windows
+const DEFAULT_CLOCK_SKEW_MS = 3 * 60 * 1000;
+
+const VALIDITY_STATUS_LABELS = {
+  valid: 'Valid when received',
+  skew: 'Valid only within the skew tolerance',
+  'not-yet-valid': 'Not yet valid when received',
+  expired: 'Expired when received'
+};
+
+// SAML dateTime values and HTTP Date headers both parse with Date.parse
+function parseSamlTime(value) {
+  if (!value) return null;
+  const t = Date.parse(value);
+  return Number.isNaN(t) ? null : t;
+}
+
+function formatSkew(ms) {
+  const seconds = Math.round(Math.abs(ms) / 1000);
+  if (seconds < 120) return `${seconds}s`;
+  if (seconds < 7200) return `${Math.round(seconds / 60)}min`;
+  return `${Math.round(seconds / 3600)}h`;
+}
+
+// Signed offset of another clock relative to ours, e.g. "+2min" when it is ahead
+function formatOffset(ms) {
+  return `${ms < 0 ? '-' : '+'}${formatSkew(ms)}`;
+}
+
+// When the browser sent or received the message; imported messages carry the import time instead
+function messageReceivedAt(m) {
+  return m.transport === 'IMPORT' ? null : parseSamlTime(m.time);
+}
+
+function headerValue(headers, name) {
+  if (!headers) return null;
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name);
+  return key ? headers[key] : null;
+}
+
+// Time windows carried by a parsed message; either bound may be missing
+function validityWindows(parsed) {
+  return [
+    { label: 'Conditions', from: parseSamlTime(parsed.notBefore), until: parseSamlTime(parsed.notOnOrAfter) },
+    { label: 'SubjectConfirmationData', from: parseSamlTime(parsed.subjectConfirmationNotBefore), until: parseSamlTime(parsed.subjectConfirmationNotOnOrAfter) },
+    { label: 'Session', from: null, until: parseSamlTime(parsed.sessionNotOnOrAfter) },
+    { label: 'LogoutRequest', from: null, until: parseSamlTime(parsed.logoutNotOnOrAfter) }
+  ].filter(w => w.from !== null || w.until !== null);
+}
+
+function messageInstants(parsed) {
+  return [
+    { label: 'IssueInstant', time: parseSamlTime(parsed.issueInstant) },
+    { label: 'Assertion IssueInstant', time: parseSamlTime(parsed.assertionIssueInstant) },
+    { label: 'AuthnInstant', time: parseSamlTime(parsed.authnInstant) }
+  ].filter(i => i.time !== null);
+}
+
+function windowStatus(w, at, toleranceMs) {
+  if (w.from !== null && at < w.from) return at < w.from - toleranceMs ? 'not-yet-valid' : 'skew';
+  if (w.until !== null && at >= w.until) return at >= w.until + toleranceMs ? 'expired' : 'skew';
+  return 'valid';
+}
+
+// Timestamps of one message against its capture time and the HTTP Date headers around it.
+// issuerDate is the Date header of the response that carried the message (the issuer's server),
+// recipientDate the Date header of the response to the request that delivered it.
+function analyzeValidity(m, parsed, { issuerDate = null, recipientDate = null, toleranceMs = DEFAULT_CLOCK_SKEW_MS } = {}) {
+  const receivedAt = messageReceivedAt(m);
+  const windows = validityWindows(parsed).map(w => ({
+    ...w,
+    status: receivedAt === null ? null : windowStatus(w, receivedAt, toleranceMs)
+  }));
+
+  const offsets = [];
+  if (receivedAt !== null) {
+    const sources = [
+      ['IssueInstant', parsed.issueInstant],
+      ['Issuer HTTP Date', issuerDate],
+      ['Recipient HTTP Date', recipientDate]
+    ];
+    for (const [label, value] of sources) {
+      const t = parseSamlTime(value);
+      if (t !== null) offsets.push({ label, ms: t - receivedAt });
+    }
+  }
+
+  // IssueInstant has sub-second precision; HTTP Date only whole seconds
+  const issuerOffset = offsets.find(o => o.label !== 'Recipient HTTP Date') || null;
+
+  return { receivedAt, toleranceMs, instants: messageInstants(parsed), windows, offsets, issuerOffset };
+}
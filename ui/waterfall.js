@@ -0,0 +1,235 @@
+// Timing waterfall: when each captured step and redirect started, how long it took and which party it waited on
+
+const WATERFALL_PARTIES = ['IdP', 'SP', 'IdP + SP', 'Other'];
+
+const WATERFALL_PARTY_CLASSES = { IdP: 'idp', SP: 'sp', 'IdP + SP': 'proxy', Other: 'other' };
+
+let waterfallComparison = null; // { left: { label, messages, navigations }, right: { ... } } while comparing
+
+// Role of each host from the diagram lanes; proxies and hubs play both
+function waterfallHostRoles(messages) {
+  const roles = new Map();
+  if (!messages.length) return roles;
+  const { lanes } = flowLanes(messages, correlateMessages(messages), loadedMetadata(), emptyLaneOverrides());
+  for (const lane of lanes) {
+    const role = lane.roles.length === 2 ? 'IdP + SP' : (lane.roles[0] || 'Other');
+    for (const party of lane.parties) roles.set(party, role);
+  }
+  return roles;
+}
+
+// One row per redirect chain hop, plus messages timed without one (redirect chain mode off, XHR bindings)
+function waterfallRows(messages, navigations) {
+  const rows = [];
+  const carried = new Set();
+  for (const hop of navigations) {
+    const message = messages.find(m => m.requestId === hop.requestId && m.url === hop.url) || null;
+    if (message) carried.add(message.id);
+    rows.push({
+      start: Date.parse(hop.time),
+      duration: hop.duration,
+      method: hop.method,
+      url: hop.url,
+      statusCode: hop.statusCode,
+      error: hop.error,
+      message,
+      // Messages found in this hop's response (auto-post forms, Location headers)
+      issued: messages.filter(m => m.deliveredBy && m.deliveredBy.requestId === hop.requestId && m.deliveredBy.url === hop.url)
+    });
+  }
+  for (const m of messages) {
+    if (carried.has(m.id) || !m.startedAt) continue;
+    rows.push({
+      start: Date.parse(m.startedAt),
+      duration: m.duration === undefined ? null : m.duration,
+      method: m.method || m.transport,
+      url: m.url,
+      statusCode: m.statusCode || null,
+      error: null,
+      message: m,
+      issued: []
+    });
+  }
+  return rows.sort((a, b) => a.start - b.start);
+}
+
+function waterfallParty(row, roles) {
+  return roles.get(urlHost(row.url)) || 'Other';
+}
+
+// Login time from the first request to the last response, time per party, and the time no request
+// was in flight (the browser and the user, e.g. typing a password or answering an MFA prompt)
+function waterfallTotals(rows, roles) {
+  const totals = { total: 0, waiting: 0, parties: Object.fromEntries(WATERFALL_PARTIES.map(p => [p, 0])) };
+  const finished = rows.filter(row => row.duration !== null);
+  if (!finished.length) return totals;
+
+  const start = rows[0].start;
+  let busy = 0;
+  let busyUntil = start;
+  for (const row of finished) {
+    const end = row.start + row.duration;
+    totals.parties[waterfallParty(row, roles)] += row.duration;
+    busy += Math.max(0, end - Math.max(row.start, busyUntil));
+    busyUntil = Math.max(busyUntil, end);
+  }
+  totals.total = busyUntil - start;
+  totals.waiting = totals.total - busy;
+  return totals;
+}
+
+function waterfallSide(side) {
+  const rows = waterfallRows(side.messages, side.navigations);
+  const roles = waterfallHostRoles(side.messages);
+  return { ...side, rows, roles, totals: waterfallTotals(rows, roles) };
+}
+
+function renderWaterfallTotals(totals) {
+  const chip = (label, ms, className) => el('span', { class: `waterfall-total${className ? ` ${className}` : ''}` },
+    className ? el('span', { class: 'waterfall-swatch' }) : null,
+    `${label} `, el('strong', {}, formatDuration(ms))
+  );
+  return el('div', { class: 'waterfall-totals' },
+    chip('Total', totals.total),
+    ...WATERFALL_PARTIES.filter(p => totals.parties[p]).map(p => chip(p, totals.parties[p], `waterfall-${WATERFALL_PARTY_CLASSES[p]}`)),
+    chip('Between requests', totals.waiting, 'waterfall-waiting')
+  );
+}
+
+// Bars are placed on a shared scale so compared captures line up
+function renderWaterfallChart(side, scale, linkToList) {
+  const origin = side.rows.length ? side.rows[0].start : 0;
+  const percent = (ms) => `${Math.min(100, (ms / scale) * 100).toFixed(2)}%`;
+  return el('ol', { class: 'waterfall-rows' }, ...side.rows.map(row => {
+    const party = waterfallParty(row, side.roles);
+    const outcome = row.error
+      ? el('span', { class: 'badge badge-lint lint-error', title: row.error }, 'Failed')
+      : (row.statusCode ? el('span', { class: `badge badge-status${row.statusCode >= 400 ? ' nav-status-failed' : ''}` }, String(row.statusCode)) : null);
+    const label = el('div', { class: 'waterfall-label', title: row.url },
+      el('span', { class: 'nav-hop-method' }, row.method || 'GET'),
+      outcome,
+      row.message ? renderKindBadge(samlMessageType(row.message)) : null,
+      ...row.issued.map(m => el('span', { class: 'badge badge-relay', title: `Issued in this response: ${samlMessageType(m).type}` }, `→ ${samlMessageType(m).label}`)),
+      el('span', { class: 'nav-hop-url' }, navigationUrlText(row.url))
+    );
+    const bar = el('div', {
+      class: `waterfall-bar waterfall-${WATERFALL_PARTY_CLASSES[party]}${row.duration === null ? ' waterfall-pending' : ''}`,
+      style: `left: ${percent(row.start - origin)}; width: ${percent(row.duration || 0)};`
+    });
+    const li = el('li', { class: 'waterfall-row' },
+      label,
+      el('span', { class: 'waterfall-party' }, party),
+      el('div', { class: 'waterfall-track' }, bar),
+      el('span', { class: 'waterfall-duration' }, row.duration === null ? 'pending' : formatDuration(row.duration))
+    );
+    if (linkToList && row.message) {
+      li.classList.add('waterfall-clickable');
+      li.title = 'Show in the message list';
+      li.addEventListener('click', () => setView('list', row.message.id));
+    }
+    return li;
+  }));
+}
+
+function renderWaterfallComparison(left, right) {
+  const delta = (l, r) => {
+    const d = r - l;
+    return d ? `${d > 0 ? '+' : '−'}${formatDuration(Math.abs(d))}` : '—';
+  };
+  const line = (label, l, r) => el('tr', {}, el('td', {}, label), el('td', {}, formatDuration(l)), el('td', {}, formatDuration(r)), el('td', {}, delta(l, r)));
+  const parties = WATERFALL_PARTIES.filter(p => left.totals.parties[p] || right.totals.parties[p]);
+  return el('table', { class: 'diff-table waterfall-compare' },
+    el('thead', {}, el('tr', {}, el('th', {}, ''), el('th', {}, left.label), el('th', {}, right.label), el('th', {}, 'Difference'))),
+    el('tbody', {},
+      line('Total login time', left.totals.total, right.totals.total),
+      ...parties.map(p => line(`At ${p === 'Other' ? 'other hosts' : `the ${p}`}`, left.totals.parties[p], right.totals.parties[p])),
+      line('Between requests', left.totals.waiting, right.totals.waiting)
+    )
+  );
+}
+
+function waterfallHint(sides) {
+  if (sides.every(side => !side.rows.length)) {
+    return 'No timing recorded. Requests are timed as they are captured; imported messages and older captures have none.';
+  }
+  if (sides.some(side => !side.navigations.length)) {
+    return 'Only requests that carried a SAML message are timed. Turn on Record Redirect Chain in the menu to include the pages and redirects in between.';
+  }
+  return null;
+}
+
+function renderWaterfall(msgs, navigations) {
+  const container = document.getElementById('waterfallContainer');
+  if (!container) return;
+  container.innerHTML = '';
+
+  const sides = waterfallComparison
+    ? [waterfallSide(waterfallComparison.left), waterfallSide(waterfallComparison.right)]
+    : [waterfallSide({ label: 'Current session', messages: msgs, navigations })];
+
+  const compareBtn = el('button', { class: 'btn btn-ghost', type: 'button', title: 'Compare the timing of two captures' }, 'Compare…');
+  compareBtn.addEventListener('click', () => openWaterfallCompare().catch(error => {
+    console.error('[SAMLView] Timing comparison failed:', error);
+    showError('Could not open the comparison', document.getElementById('messageContainer'));
+  }));
+  const currentBtn = waterfallComparison ? el('button', { class: 'btn btn-ghost', type: 'button' }, 'Current Session') : null;
+  if (currentBtn) {
+    currentBtn.addEventListener('click', () => {
+      waterfallComparison = null;
+      refresh();
+    });
+  }
+  const backBtn = el('button', { class: 'btn btn-ghost', type: 'button' }, '← Back to Messages');
+  backBtn.addEventListener('click', () => setView('list'));
+  const requestCount = sides[0].rows.length;
+  container.appendChild(el('div', { class: 'library-header' },
+    el('h2', {}, waterfallComparison ? 'Compare Timings' : 'Timing Waterfall'),
+    el('span', { class: 'library-count' }, waterfallComparison ? '' : `${requestCount} request${requestCount === 1 ? '' : 's'}`),
+    compareBtn,
+    currentBtn,
+    backBtn
+  ));
+
+  const hint = waterfallHint(sides);
+  if (hint) container.appendChild(el('p', { class: 'dialog-help' }, hint));
+  if (waterfallComparison) container.appendChild(renderWaterfallComparison(sides[0], sides[1]));
+
+  const scale = Math.max(1, ...sides.map(side => side.totals.total));
+  for (const side of sides) {
+    container.appendChild(el('section', { class: 'waterfall' },
+      waterfallComparison ? el('h3', {}, side.label) : null,
+      renderWaterfallTotals(side.totals),
+      renderWaterfallChart(side, scale, !waterfallComparison)
+    ));
+  }
+}
+
+async function openWaterfallCompare() {
+  const messageContainer = document.getElementById('messageContainer');
+  const { captures } = await browser.runtime.sendMessage({ type: 'listCaptures' });
+  const left = renderCaptureSourcePicker('Left', captures, 0);
+  const right = renderCaptureSourcePicker('Right', captures, 1);
+  const body = el('div', { class: 'dialog-form' },
+    el('p', { class: 'dialog-help' }, 'Both waterfalls are drawn on the same time scale.'),
+    left.row,
+    right.row
+  );
+  openDialog('Compare Timings', body, [
+    { label: 'Cancel', class: 'btn-ghost' },
+    {
+      label: 'Compare',
+      class: 'btn-primary',
+      onClick: async () => {
+        try {
+          const [l, r] = await Promise.all([loadDiffSide(left.select.value, left.fileInput), loadDiffSide(right.select.value, right.fileInput)]);
+          waterfallComparison = { left: l, right: r };
+        } catch (error) {
+          console.error('[SAMLView] Timing comparison failed:', error);
+          showError(error.message || 'Could not load captures', messageContainer);
+          return false;
+        }
+        await setView('waterfall');
+      }
+    }
+  ]);
+}
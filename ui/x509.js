@@ -0,0 +1,195 @@
+// X.509 certificate decoding on top of the DER reader: names, validity, key, usage and fingerprints
+
+// Certificates expiring within this window of the capture get a warning
+const CERT_EXPIRY_WARNING_MS = 30 * 24 * 60 * 60 * 1000;
+
+const X509_NAME_ATTRIBUTES = {
+  '2.5.4.3': 'CN',
+  '2.5.4.5': 'serialNumber',
+  '2.5.4.6': 'C',
+  '2.5.4.7': 'L',
+  '2.5.4.8': 'ST',
+  '2.5.4.10': 'O',
+  '2.5.4.11': 'OU',
+  '1.2.840.113549.1.9.1': 'emailAddress',
+  '0.9.2342.19200300.100.1.25': 'DC'
+};
+
+const X509_SIGNATURE_ALGORITHMS = {
+  '1.2.840.113549.1.1.4': 'md5WithRSAEncryption',
+  '1.2.840.113549.1.1.5': 'sha1WithRSAEncryption',
+  '1.2.840.113549.1.1.10': 'RSASSA-PSS',
+  '1.2.840.113549.1.1.11': 'sha256WithRSAEncryption',
+  '1.2.840.113549.1.1.12': 'sha384WithRSAEncryption',
+  '1.2.840.113549.1.1.13': 'sha512WithRSAEncryption',
+  '1.2.840.10045.4.1': 'ecdsa-with-SHA1',
+  '1.2.840.10045.4.3.2': 'ecdsa-with-SHA256',
+  '1.2.840.10045.4.3.3': 'ecdsa-with-SHA384',
+  '1.2.840.10045.4.3.4': 'ecdsa-with-SHA512'
+};
+
+// KeyUsage bit names in bit order (RFC 5280 4.2.1.3)
+const X509_KEY_USAGES = ['digitalSignature', 'nonRepudiation', 'keyEncipherment', 'dataEncipherment', 'keyAgreement', 'keyCertSign', 'cRLSign', 'encipherOnly', 'decipherOnly'];
+
+const X509_EXTENDED_KEY_USAGES = {
+  '1.3.6.1.5.5.7.3.1': 'serverAuth',
+  '1.3.6.1.5.5.7.3.2': 'clientAuth',
+  '1.3.6.1.5.5.7.3.3': 'codeSigning',
+  '1.3.6.1.5.5.7.3.4': 'emailProtection',
+  '1.3.6.1.5.5.7.3.8': 'timeStamping',
+  '2.5.29.37.0': 'anyExtendedKeyUsage'
+};
+
+const OID_KEY_USAGE = '2.5.29.15';
+const OID_BASIC_CONSTRAINTS = '2.5.29.19';
+const OID_EXTENDED_KEY_USAGE = '2.5.29.37';
+
+const CERT_STATUS_LABELS = {
+  valid: 'Valid',
+  expiring: 'Expiring soon',
+  expired: 'Expired',
+  'not-yet-valid': 'Not yet valid'
+};
+
+function derString(node) {
+  const c = derContent(node);
+  if (node.tag === ASN1_TAG.UTF8_STRING) return new TextDecoder().decode(c);
+  if (node.tag === ASN1_TAG.BMP_STRING) {
+    let s = '';
+    for (let i = 0; i + 1 < c.length; i += 2) s += String.fromCharCode((c[i] << 8) | c[i + 1]);
+    return s;
+  }
+  return String.fromCharCode(...c);
+}
+
+// UTCTime (YYMMDDHHMMSSZ) or GeneralizedTime (YYYYMMDDHHMMSS[.fff]Z) as epoch ms
+function derTime(node) {
+  const s = String.fromCharCode(...derContent(node));
+  const m = node.tag === ASN1_TAG.UTC_TIME
+    ? /^(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?Z$/.exec(s)
+    : /^(\d{4})(\d{2})(\d{2})(\d{2})(\d{2})(\d{2})?(?:\.\d+)?Z$/.exec(s);
+  if (!m) return null;
+  let year = Number(m[1]);
+  if (node.tag === ASN1_TAG.UTC_TIME) year += year < 50 ? 2000 : 1900;
+  return Date.UTC(year, Number(m[2]) - 1, Number(m[3]), Number(m[4]), Number(m[5]), Number(m[6] || 0));
+}
+
+// Distinguished name in RFC 4514 order (most specific first)
+function x509Name(node) {
+  const parts = [];
+  for (const rdn of node.children || []) {
+    for (const atv of rdn.children || []) {
+      const oid = derOID(atv.children[0]);
+      parts.push(`${X509_NAME_ATTRIBUTES[oid] || oid}=${derString(atv.children[1])}`);
+    }
+  }
+  return parts.reverse().join(', ');
+}
+
+function x509CommonName(name) {
+  const cn = /(?:^|, )CN=([^,]*)/.exec(name);
+  return cn ? cn[1] : name;
+}
+
+function bitLength(bytes) {
+  let i = 0;
+  while (i < bytes.length && bytes[i] === 0) i++;
+  if (i === bytes.length) return 0;
+  return (bytes.length - i - 1) * 8 + bytes[i].toString(2).length;
+}
+
+function x509PublicKey(spki) {
+  const algorithm = derOID(spki.children[0].children[0]);
+  if (algorithm === OID_RSA_ENCRYPTION) {
+    // BIT STRING content starts with the unused-bits count
+    const rsaKey = parseDER(derContent(spki.children[1]).subarray(1));
+    const modulus = rsaKey && rsaKey.children ? derContent(rsaKey.children[0]) : null;
+    return { type: 'RSA', size: modulus ? bitLength(modulus) : null, curve: null };
+  }
+  if (algorithm === OID_EC_PUBLIC_KEY) {
+    const params = spki.children[0].children[1];
+    const curve = params && params.tag === ASN1_TAG.OID ? EC_CURVES[derOID(params)] || derOID(params) : null;
+    const size = { 'P-256': 256, 'P-384': 384, 'P-521': 521 }[curve] || null;
+    return { type: 'EC', size, curve };
+  }
+  return { type: algorithm, size: null, curve: null };
+}
+
+function x509Extensions(extensionsNode) {
+  const result = { keyUsage: [], extendedKeyUsage: [], isCA: false };
+  const list = extensionsNode && extensionsNode.children && extensionsNode.children[0];
+  for (const ext of (list && list.children) || []) {
+    const oid = derOID(ext.children[0]);
+    const value = parseDER(derContent(ext.children[ext.children.length - 1]));
+    if (!value) continue;
+    if (oid === OID_KEY_USAGE) {
+      const c = derContent(value);
+      X509_KEY_USAGES.forEach((name, bit) => {
+        const byte = c[1 + (bit >> 3)];
+        if (byte !== undefined && byte & (0x80 >> (bit & 7))) result.keyUsage.push(name);
+      });
+    } else if (oid === OID_EXTENDED_KEY_USAGE) {
+      result.extendedKeyUsage = (value.children || []).map(n => X509_EXTENDED_KEY_USAGES[derOID(n)] || derOID(n));
+    } else if (oid === OID_BASIC_CONSTRAINTS) {
+      const first = value.children && value.children[0];
+      result.isCA = Boolean(first && first.tag === ASN1_TAG.BOOLEAN && derContent(first)[0]);
+    }
+  }
+  return result;
+}
+
+// Decoded view of a DER certificate, or null if it is not one
+function parseCertificate(der) {
+  const cert = parseDER(der);
+  const tbs = cert && cert.children && cert.children[0];
+  if (!tbs || !tbs.children) return null;
+  try {
+    const base = derIsContext(tbs.children[0], 0) ? 1 : 0;
+    const version = base ? derContent(tbs.children[0].children[0])[0] + 1 : 1;
+    const [serial, , issuer, validity, subject, spki] = tbs.children.slice(base);
+    const extensions = tbs.children.slice(base + 6).find(n => derIsContext(n, 3));
+    const issuerRaw = derRaw(issuer);
+    const subjectRaw = derRaw(subject);
+    return {
+      version,
+      serial: bytesToHex(derContent(serial)).replace(/^00(?=[0-9a-f]{2})/, '').toUpperCase(),
+      issuer: x509Name(issuer),
+      subject: x509Name(subject),
+      selfIssued: issuerRaw.length === subjectRaw.length && issuerRaw.every((b, i) => b === subjectRaw[i]),
+      notBefore: derTime(validity.children[0]),
+      notAfter: derTime(validity.children[1]),
+      signatureAlgorithm: X509_SIGNATURE_ALGORITHMS[derOID(cert.children[1].children[0])] || derOID(cert.children[1].children[0]),
+      publicKey: x509PublicKey(spki),
+      ...x509Extensions(extensions)
+    };
+  } catch (error) {
+    console.warn('[SAMLView] Certificate parse failed:', error.message);
+    return null;
+  }
+}
+
+function certificateStatus(cert, at) {
+  if (cert.notBefore !== null && at < cert.notBefore) return 'not-yet-valid';
+  if (cert.notAfter !== null && at >= cert.notAfter) return 'expired';
+  if (cert.notAfter !== null && cert.notAfter - at < CERT_EXPIRY_WARNING_MS) return 'expiring';
+  return 'valid';
+}
+
+function formatFingerprint(hex) {
+  return hex.toUpperCase().match(/.{2}/g).join(':');
+}
+
+async function certificateFingerprints(der) {
+  const [sha1, sha256] = await Promise.all(['SHA-1', 'SHA-256'].map(hash => crypto.subtle.digest(hash, der)));
+  return { sha1: formatFingerprint(bytesToHex(new Uint8Array(sha1))), sha256: formatFingerprint(bytesToHex(new Uint8Array(sha256))) };
+}
+
+// Which fingerprint a pasted value matches, if any; accepts colons, spaces and either case
+function matchFingerprint(fingerprints, input) {
+  const wanted = String(input).replace(/^(sha-?(1|256)\s*(fingerprint)?\s*[:=]?)/i, '').replace(/[^0-9a-f]/gi, '').toLowerCase();
+  if (!wanted) return null;
+  for (const [label, value] of [['SHA-1', fingerprints.sha1], ['SHA-256', fingerprints.sha256]]) {
+    if (value.replace(/:/g, '').toLowerCase() === wanted) return label;
+  }
+  return null;
+}
@@ -0,0 +1,494 @@
+// XML Signature (XMLDSig) verification for captured SAML messages
+
+const DSIG_NS = 'http://www.w3.org/2000/09/xmldsig#';
+const XMLNS_NS = 'http://www.w3.org/2000/xmlns/';
+
+const C14N_ALGORITHMS = {
+  'http://www.w3.org/2001/10/xml-exc-c14n#': { exclusive: true, withComments: false },
+  'http://www.w3.org/2001/10/xml-exc-c14n#WithComments': { exclusive: true, withComments: true },
+  'http://www.w3.org/TR/2001/REC-xml-c14n-20010315': { exclusive: false, withComments: false },
+  'http://www.w3.org/TR/2001/REC-xml-c14n-20010315#WithComments': { exclusive: false, withComments: true }
+};
+
+const ENVELOPED_SIGNATURE = 'http://www.w3.org/2000/09/xmldsig#enveloped-signature';
+
+const DIGEST_ALGORITHMS = {
+  'http://www.w3.org/2000/09/xmldsig#sha1': 'SHA-1',
+  'http://www.w3.org/2001/04/xmlenc#sha256': 'SHA-256',
+  'http://www.w3.org/2001/04/xmldsig-more#sha384': 'SHA-384',
+  'http://www.w3.org/2001/04/xmlenc#sha512': 'SHA-512'
+};
+
+const SIGNATURE_ALGORITHMS = {
+  'http://www.w3.org/2000/09/xmldsig#rsa-sha1': { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-1' },
+  'http://www.w3.org/2001/04/xmldsig-more#rsa-sha256': { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' },
+  'http://www.w3.org/2001/04/xmldsig-more#rsa-sha384': { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-384' },
+  'http://www.w3.org/2001/04/xmldsig-more#rsa-sha512': { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-512' },
+  'http://www.w3.org/2001/04/xmldsig-more#ecdsa-sha1': { name: 'ECDSA', hash: 'SHA-1' },
+  'http://www.w3.org/2001/04/xmldsig-more#ecdsa-sha256': { name: 'ECDSA', hash: 'SHA-256' },
+  'http://www.w3.org/2001/04/xmldsig-more#ecdsa-sha384': { name: 'ECDSA', hash: 'SHA-384' },
+  'http://www.w3.org/2001/04/xmldsig-more#ecdsa-sha512': { name: 'ECDSA', hash: 'SHA-512' }
+};
+
+const EC_CURVES = {
+  '1.2.840.10045.3.1.7': 'P-256',
+  '1.3.132.0.34': 'P-384',
+  '1.3.132.0.35': 'P-521'
+};
+
+const OID_RSA_ENCRYPTION = '1.2.840.113549.1.1.1';
+const OID_EC_PUBLIC_KEY = '1.2.840.10045.2.1';
+
+const SIGNATURE_STATUS_LABELS = {
+  'valid': 'Signature valid',
+  'invalid': 'Signature invalid',
+  'digest-mismatch': 'Digest mismatch',
+  'not-signed': 'Not signed',
+  'no-key': 'No verification key',
+  'unsupported': 'Unsupported algorithm',
+  'error': 'Verification error'
+};
+
+// Short display name for an algorithm URI (e.g. "rsa-sha256")
+function algorithmShortName(uri) {
+  if (!uri) return '';
+  const hash = uri.lastIndexOf('#');
+  return hash >= 0 ? uri.slice(hash + 1) : uri;
+}
+
+function dsChild(parent, localName) {
+  if (!parent) return null;
+  for (const c of parent.children) {
+    if (c.namespaceURI === DSIG_NS && c.localName === localName) return c;
+  }
+  return null;
+}
+
+function dsChildren(parent, localName) {
+  if (!parent) return [];
+  return Array.from(parent.children).filter(c => c.namespaceURI === DSIG_NS && c.localName === localName);
+}
+
+function escapeC14NText(s) {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/\r/g, '&#xD;');
+}
+
+function escapeC14NAttr(s) {
+  return s.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/"/g, '&quot;')
+    .replace(/\t/g, '&#x9;').replace(/\n/g, '&#xA;').replace(/\r/g, '&#xD;');
+}
+
+// All namespace declarations in scope for an element, nearest first wins
+function inScopeNamespaces(elm) {
+  const result = new Map();
+  for (let n = elm; n && n.nodeType === Node.ELEMENT_NODE; n = n.parentNode) {
+    for (const a of n.attributes) {
+      if (a.namespaceURI !== XMLNS_NS) continue;
+      const prefix = a.prefix ? a.localName : '';
+      if (!result.has(prefix)) result.set(prefix, a.value);
+    }
+  }
+  return result;
+}
+
+// Namespace prefixes an element needs rendered under exclusive c14n
+function visiblyUtilizedNamespaces(elm, inclusivePrefixes) {
+  const result = new Map();
+  result.set(elm.prefix || '', elm.namespaceURI || '');
+  for (const a of elm.attributes) {
+    if (a.namespaceURI === XMLNS_NS || !a.prefix || a.prefix === 'xml') continue;
+    result.set(a.prefix, a.namespaceURI || '');
+  }
+  for (const p of inclusivePrefixes) {
+    const prefix = p === '#default' ? '' : p;
+    if (result.has(prefix)) continue;
+    const uri = elm.lookupNamespaceURI(prefix || null);
+    if (uri) result.set(prefix, uri);
+  }
+  return result;
+}
+
+// Canonicalize an element subtree (Canonical XML 1.0 or Exclusive C14N)
+function canonicalize(node, options = {}) {
+  const { exclusive = true, withComments = false, inclusivePrefixes = [], exclude = null } = options;
+  const out = [];
+
+  const walk = (n, rendered, isApex) => {
+    switch (n.nodeType) {
+      case Node.ELEMENT_NODE: {
+        if (n === exclude) return;
+
+        const candidates = exclusive
+          ? visiblyUtilizedNamespaces(n, inclusivePrefixes)
+          : (isApex ? inScopeNamespaces(n) : declaredNamespaces(n));
+        const nextRendered = new Map(rendered);
+        const nsDecls = [];
+        for (const [prefix, uri] of candidates) {
+          if (prefix === 'xml') continue;
+          const current = rendered.has(prefix) ? rendered.get(prefix) : '';
+          if (current === uri) continue;
+          if (prefix && !uri) continue;
+          nsDecls.push([prefix, uri]);
+          nextRendered.set(prefix, uri);
+        }
+        nsDecls.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+
+        const attrs = Array.from(n.attributes)
+          .filter(a => a.namespaceURI !== XMLNS_NS)
+          .sort((a, b) => {
+            const na = a.namespaceURI || '';
+            const nb = b.namespaceURI || '';
+            if (na !== nb) return na < nb ? -1 : 1;
+            return a.localName < b.localName ? -1 : a.localName > b.localName ? 1 : 0;
+          });
+
+        out.push('<', n.tagName);
+        for (const [prefix, uri] of nsDecls) {
+          out.push(prefix ? ` xmlns:${prefix}="` : ' xmlns="', escapeC14NAttr(uri), '"');
+        }
+        for (const a of attrs) {
+          out.push(' ', a.name, '="', escapeC14NAttr(a.value), '"');
+        }
+        out.push('>');
+        for (const c of n.childNodes) walk(c, nextRendered, false);
+        out.push('</', n.tagName, '>');
+        return;
+      }
+      case Node.TEXT_NODE:
+      case Node.CDATA_SECTION_NODE:
+        out.push(escapeC14NText(n.data));
+        return;
+      case Node.COMMENT_NODE:
+        if (withComments) out.push('<!--', n.data, '-->');
+        return;
+      case Node.PROCESSING_INSTRUCTION_NODE:
+        out.push('<?', n.target, n.data ? ` ${n.data}` : '', '?>');
+        return;
+      default:
+        return;
+    }
+  };
+
+  walk(node, new Map(), true);
+  return out.join('');
+}
+
+// Namespace declarations made directly on an element (inclusive c14n below the apex)
+function declaredNamespaces(elm) {
+  const result = new Map();
+  for (const a of elm.attributes) {
+    if (a.namespaceURI !== XMLNS_NS) continue;
+    result.set(a.prefix ? a.localName : '', a.value);
+  }
+  return result;
+}
+
+// Find the element a same-document reference points to; reports duplicates
+function findElementById(doc, id) {
+  const matches = [];
+  for (const elm of doc.getElementsByTagName('*')) {
+    if (elm.getAttribute('ID') === id || elm.getAttribute('Id') === id || elm.getAttribute('AssertionID') === id) {
+      matches.push(elm);
+    }
+  }
+  return matches;
+}
+
+async function digestBase64(hash, data) {
+  const digest = await crypto.subtle.digest(hash, new TextEncoder().encode(data));
+  return bytesToB64(new Uint8Array(digest));
+}
+
+// Import a verification key from certificate DER bytes
+async function importCertificateKey(certDer, algorithm) {
+  const info = certificatePublicKeyInfo(certDer);
+  if (!info) throw new Error('Could not read certificate public key');
+  return importSpkiKey(info, algorithm);
+}
+
+async function importSpkiKey(info, algorithm) {
+  if (algorithm.name === 'ECDSA') {
+    if (info.algorithm !== OID_EC_PUBLIC_KEY) throw new Error('Certificate key is not an EC key');
+    const namedCurve = EC_CURVES[info.parameters];
+    if (!namedCurve) throw new Error(`Unsupported EC curve ${info.parameters}`);
+    return crypto.subtle.importKey('spki', info.spki, { name: 'ECDSA', namedCurve }, false, ['verify']);
+  }
+  if (info.algorithm !== OID_RSA_ENCRYPTION) throw new Error('Certificate key is not an RSA key');
+  return crypto.subtle.importKey('spki', info.spki, { name: algorithm.name, hash: algorithm.hash }, false, ['verify']);
+}
+
+function b64ToB64Url(b64) {
+  return b64.replace(/\s+/g, '').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+async function importRSAKeyValue(keyValue, algorithm) {
+  const modulus = dsChild(keyValue, 'Modulus');
+  const exponent = dsChild(keyValue, 'Exponent');
+  if (!modulus || !exponent) throw new Error('Incomplete RSAKeyValue');
+  const jwk = { kty: 'RSA', n: b64ToB64Url(modulus.textContent), e: b64ToB64Url(exponent.textContent), ext: true };
+  return crypto.subtle.importKey('jwk', jwk, { name: algorithm.name, hash: algorithm.hash }, false, ['verify']);
+}
+
+// Embedded X509Certificate values (base64) from a ds:KeyInfo
+function keyInfoCertificates(keyInfo) {
+  const certs = [];
+  for (const data of dsChildren(keyInfo, 'X509Data')) {
+    for (const c of dsChildren(data, 'X509Certificate')) {
+      const b64 = c.textContent.replace(/\s+/g, '');
+      if (b64) certs.push(b64);
+    }
+  }
+  return certs;
+}
+
+// Pick the key to verify with: pinned certificate first, then KeyInfo contents
+async function resolveVerificationKey(sigEl, algorithm, pinnedCertDer) {
+  if (pinnedCertDer) {
+    return { key: await importCertificateKey(pinnedCertDer, algorithm), source: 'pinned' };
+  }
+  const keyInfo = dsChild(sigEl, 'KeyInfo');
+  const certs = keyInfoCertificates(keyInfo);
+  if (certs.length) {
+    const der = b64ToBytes(certs[0]);
+    if (!der) throw new Error('Embedded certificate is not valid base64');
+    return { key: await importCertificateKey(der, algorithm), source: 'embedded', certificate: certs[0] };
+  }
+  const keyValue = dsChild(keyInfo, 'KeyValue');
+  const rsaKeyValue = dsChild(keyValue, 'RSAKeyValue');
+  if (rsaKeyValue && algorithm.name !== 'ECDSA') {
+    return { key: await importRSAKeyValue(rsaKeyValue, algorithm), source: 'key-value' };
+  }
+  return null;
+}
+
+// Verify a single ds:Reference; returns { ok, status, covers, referenceId, digestAlgorithm, message }
+async function verifyReference(reference, sigEl, doc) {
+  const uri = reference.getAttribute('URI') || '';
+  const result = { ok: false, status: 'error', covers: null, referenceId: null, digestAlgorithm: null, message: null };
+
+  let target;
+  if (uri === '') {
+    target = doc.documentElement;
+  } else if (uri.startsWith('#')) {
+    result.referenceId = uri.slice(1);
+    const matches = findElementById(doc, result.referenceId);
+    if (matches.length > 1) {
+      result.message = `Reference ${uri} matches ${matches.length} elements (possible signature wrapping)`;
+      return result;
+    }
+    target = matches[0];
+  } else {
+    result.message = `External reference ${uri} not supported`;
+    return result;
+  }
+  if (!target) {
+    result.message = `Referenced element ${uri} not found`;
+    return result;
+  }
+  result.covers = target.localName;
+
+  let exclusive = false;
+  let inclusivePrefixes = [];
+  let exclude = null;
+  const transforms = dsChild(reference, 'Transforms');
+  for (const t of dsChildren(transforms, 'Transform')) {
+    const alg = t.getAttribute('Algorithm');
+    if (alg === ENVELOPED_SIGNATURE) {
+      exclude = sigEl;
+    } else if (C14N_ALGORITHMS[alg]) {
+      exclusive = C14N_ALGORITHMS[alg].exclusive;
+      const incl = Array.from(t.children).find(c => c.localName === 'InclusiveNamespaces');
+      inclusivePrefixes = incl ? (incl.getAttribute('PrefixList') || '').split(/\s+/).filter(Boolean) : [];
+    } else {
+      result.status = 'unsupported';
+      result.message = `Unsupported transform ${algorithmShortName(alg)}`;
+      return result;
+    }
+  }
+
+  const digestMethod = dsChild(reference, 'DigestMethod');
+  const digestUri = digestMethod ? digestMethod.getAttribute('Algorithm') : null;
+  const hash = DIGEST_ALGORITHMS[digestUri];
+  result.digestAlgorithm = digestUri;
+  if (!hash) {
+    result.status = 'unsupported';
+    result.message = `Unsupported digest ${algorithmShortName(digestUri)}`;
+    return result;
+  }
+
+  // Same-document references never include comments
+  const canonical = canonicalize(target, { exclusive, inclusivePrefixes, exclude, withComments: false });
+  const actual = await digestBase64(hash, canonical);
+  const expectedNode = dsChild(reference, 'DigestValue');
+  const expected = expectedNode ? expectedNode.textContent.replace(/\s+/g, '') : '';
+  result.ok = actual === expected;
+  result.status = result.ok ? 'valid' : 'digest-mismatch';
+  if (!result.ok) result.message = `Digest mismatch for ${uri || 'document'}`;
+  return result;
+}
+
+// Verify one ds:Signature element
+async function verifySignatureElement(sigEl, doc, pinnedCertDer) {
+  const result = {
+    status: 'error',
+    covers: null,
+    referenceId: null,
+    algorithm: null,
+    digestAlgorithm: null,
+    keySource: null,
+    certificate: null,
+    parent: sigEl.parentNode ? sigEl.parentNode.localName : null,
+    message: null
+  };
+
+  try {
+    const signedInfo = dsChild(sigEl, 'SignedInfo');
+    const sigValueNode = dsChild(sigEl, 'SignatureValue');
+    if (!signedInfo || !sigValueNode) {
+      result.message = 'Signature is missing SignedInfo or SignatureValue';
+      return result;
+    }
+
+    const c14nMethod = dsChild(signedInfo, 'CanonicalizationMethod');
+    const c14nUri = c14nMethod ? c14nMethod.getAttribute('Algorithm') : null;
+    const c14n = C14N_ALGORITHMS[c14nUri];
+    const sigMethod = dsChild(signedInfo, 'SignatureMethod');
+    result.algorithm = sigMethod ? sigMethod.getAttribute('Algorithm') : null;
+    const algorithm = SIGNATURE_ALGORITHMS[result.algorithm];
+    if (!c14n || !algorithm) {
+      result.status = 'unsupported';
+      result.message = !c14n
+        ? `Unsupported canonicalization ${algorithmShortName(c14nUri)}`
+        : `Unsupported signature method ${algorithmShortName(result.algorithm)}`;
+      return result;
+    }
+
+    const references = dsChildren(signedInfo, 'Reference');
+    if (!references.length) {
+      result.message = 'SignedInfo contains no Reference';
+      return result;
+    }
+    for (const reference of references) {
+      const ref = await verifyReference(reference, sigEl, doc);
+      if (!result.covers) {
+        result.covers = ref.covers;
+        result.referenceId = ref.referenceId;
+        result.digestAlgorithm = ref.digestAlgorithm;
+      }
+      if (!ref.ok) {
+        result.status = ref.status;
+        result.message = ref.message;
+        return result;
+      }
+    }
+
+    const resolved = await resolveVerificationKey(sigEl, algorithm, pinnedCertDer);
+    if (!resolved) {
+      result.status = 'no-key';
+      result.message = 'No certificate in KeyInfo and no pinned certificate';
+      return result;
+    }
+    result.keySource = resolved.source;
+    result.certificate = resolved.certificate || null;
+
+    let inclusivePrefixes = [];
+    const incl = Array.from(c14nMethod.children).find(c => c.localName === 'InclusiveNamespaces');
+    if (incl) inclusivePrefixes = (incl.getAttribute('PrefixList') || '').split(/\s+/).filter(Boolean);
+    const canonicalSignedInfo = canonicalize(signedInfo, { ...c14n, inclusivePrefixes });
+
+    const signature = b64ToBytes(sigValueNode.textContent);
+    if (!signature) {
+      result.message = 'SignatureValue is not valid base64';
+      return result;
+    }
+    const ok = await crypto.subtle.verify(
+      { name: algorithm.name, hash: algorithm.hash },
+      resolved.key,
+      signature,
+      new TextEncoder().encode(canonicalSignedInfo)
+    );
+    result.status = ok ? 'valid' : 'invalid';
+    if (!ok) result.message = `SignatureValue does not verify with the ${resolved.source} key`;
+  } catch (error) {
+    console.warn('[SAMLView] Signature verification failed:', error);
+    result.status = 'error';
+    result.message = error.message || String(error);
+  }
+  return result;
+}
+
+// Overall status across signatures: not-signed, valid, or the first failure
+function combineSignatureStatus(signatures) {
+  if (!signatures.length) return 'not-signed';
+  const failed = signatures.find(s => s.status !== 'valid');
+  return failed ? failed.status : 'valid';
+}
+
+// Verify every ds:Signature in a SAML document
+async function verifyXmlSignatures(xmlStr, options = {}) {
+  const doc = new DOMParser().parseFromString(xmlStr, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) {
+    return { status: 'error', signatures: [], message: 'XML parse error' };
+  }
+
+  const pinnedCertDer = options.pinnedCert ? pemToDer(options.pinnedCert) : null;
+  const sigEls = Array.from(doc.getElementsByTagNameNS(DSIG_NS, 'Signature'));
+  const signatures = [];
+  for (const sigEl of sigEls) {
+    signatures.push(await verifySignatureElement(sigEl, doc, pinnedCertDer));
+  }
+  return { status: combineSignatureStatus(signatures), signatures };
+}
+
+// SHA-1 based signature algorithms are considered weak
+function isWeakSignatureAlgorithm(uri) {
+  return /sha1$/i.test(uri || '');
+}
+
+// Verify an HTTP-Redirect binding signature against candidate certificates
+// candidates: [{ der: Uint8Array, source: string }]
+async function verifyRedirectSignature(redirect, candidates) {
+  const result = {
+    status: 'error',
+    algorithm: redirect.sigAlg,
+    weak: isWeakSignatureAlgorithm(redirect.sigAlg),
+    keySource: null,
+    message: null
+  };
+
+  const algorithm = SIGNATURE_ALGORITHMS[redirect.sigAlg];
+  if (!algorithm) {
+    result.status = 'unsupported';
+    result.message = `Unsupported SigAlg ${algorithmShortName(redirect.sigAlg)}`;
+    return result;
+  }
+  const signature = b64ToBytes(redirect.signature);
+  if (!signature) {
+    result.message = 'Signature parameter is not valid base64';
+    return result;
+  }
+  if (!candidates.length) {
+    result.status = 'no-key';
+    result.message = 'No certificate known for this issuer and no pinned certificate';
+    return result;
+  }
+
+  const data = new TextEncoder().encode(redirect.signedQuery);
+  const failures = [];
+  for (const candidate of candidates) {
+    try {
+      const key = await importCertificateKey(candidate.der, algorithm);
+      if (await crypto.subtle.verify({ name: algorithm.name, hash: algorithm.hash }, key, signature, data)) {
+        result.status = 'valid';
+        result.keySource = candidate.source;
+        return result;
+      }
+      failures.push(`${candidate.source}: does not verify`);
+    } catch (error) {
+      failures.push(`${candidate.source}: ${error.message || error}`);
+    }
+  }
+  result.status = 'invalid';
+  result.message = failures.join('; ');
+  return result;
+}
@@ -0,0 +1,221 @@
+// XML Encryption: decrypt EncryptedAssertion / EncryptedID / EncryptedAttribute with the SP key
+
+const XENC_NS = 'http://www.w3.org/2001/04/xmlenc#';
+
+const KEY_TRANSPORT_ALGORITHMS = {
+  'http://www.w3.org/2001/04/xmlenc#rsa-1_5': 'rsa-1_5',
+  'http://www.w3.org/2001/04/xmlenc#rsa-oaep-mgf1p': 'rsa-oaep',
+  'http://www.w3.org/2009/xmlenc11#rsa-oaep': 'rsa-oaep'
+};
+
+const OAEP_MGF_HASHES = {
+  'http://www.w3.org/2009/xmlenc11#mgf1sha1': 'SHA-1',
+  'http://www.w3.org/2009/xmlenc11#mgf1sha224': 'SHA-224',
+  'http://www.w3.org/2009/xmlenc11#mgf1sha256': 'SHA-256',
+  'http://www.w3.org/2009/xmlenc11#mgf1sha384': 'SHA-384',
+  'http://www.w3.org/2009/xmlenc11#mgf1sha512': 'SHA-512'
+};
+
+const BLOCK_ENCRYPTION_ALGORITHMS = {
+  'http://www.w3.org/2001/04/xmlenc#aes128-cbc': { name: 'AES-CBC', length: 16 },
+  'http://www.w3.org/2001/04/xmlenc#aes192-cbc': { name: 'AES-CBC', length: 24 },
+  'http://www.w3.org/2001/04/xmlenc#aes256-cbc': { name: 'AES-CBC', length: 32 },
+  'http://www.w3.org/2009/xmlenc11#aes128-gcm': { name: 'AES-GCM', length: 16 },
+  'http://www.w3.org/2009/xmlenc11#aes192-gcm': { name: 'AES-GCM', length: 24 },
+  'http://www.w3.org/2009/xmlenc11#aes256-gcm': { name: 'AES-GCM', length: 32 }
+};
+
+// SAML wrapper elements whose EncryptedData we decrypt
+const ENCRYPTED_ELEMENTS = ['EncryptedAssertion', 'EncryptedID', 'EncryptedAttribute', 'NewEncryptedID'];
+
+function xencChild(parent, localName) {
+  if (!parent) return null;
+  for (const c of parent.children) {
+    if (c.namespaceURI === XENC_NS && c.localName === localName) return c;
+  }
+  return null;
+}
+
+function cipherValueBytes(encrypted) {
+  const cipherData = xencChild(encrypted, 'CipherData');
+  const value = xencChild(cipherData, 'CipherValue');
+  if (!value) throw new Error('Missing CipherValue (CipherReference is not supported)');
+  const bytes = b64ToBytes(value.textContent);
+  if (!bytes) throw new Error('CipherValue is not valid base64');
+  return bytes;
+}
+
+function bigIntToBytes(n, length) {
+  const out = new Uint8Array(length);
+  for (let i = length - 1; i >= 0; i--) {
+    out[i] = Number(n & 0xffn);
+    n >>= 8n;
+  }
+  return out;
+}
+
+function modPow(base, exp, mod) {
+  let result = 1n;
+  base %= mod;
+  while (exp > 0n) {
+    if (exp & 1n) result = (result * base) % mod;
+    exp >>= 1n;
+    base = (base * base) % mod;
+  }
+  return result;
+}
+
+// RSAES-PKCS1-v1_5 decryption; WebCrypto does not offer it, so it is done with BigInt (CRT)
+function rsaPkcs1v15Decrypt(rsa, cipher) {
+  const k = Math.ceil(rsa.n.toString(16).length / 2);
+  const c = bytesToBigInt(cipher);
+  const m1 = modPow(c % rsa.p, rsa.dp, rsa.p);
+  const m2 = modPow(c % rsa.q, rsa.dq, rsa.q);
+  const h = (rsa.qi * (((m1 - m2) % rsa.p) + rsa.p)) % rsa.p;
+  const em = bigIntToBytes(m2 + h * rsa.q, k);
+  if (em[0] !== 0x00 || em[1] !== 0x02) throw new Error('RSA-1_5 decryption failed (wrong key?)');
+  const sep = em.indexOf(0x00, 2);
+  if (sep < 10) throw new Error('RSA-1_5 decryption failed (bad padding)');
+  return em.subarray(sep + 1);
+}
+
+async function decryptEncryptedKey(encryptedKey, spKey) {
+  const method = xencChild(encryptedKey, 'EncryptionMethod');
+  const uri = method ? method.getAttribute('Algorithm') : null;
+  const transport = KEY_TRANSPORT_ALGORITHMS[uri];
+  if (!transport) throw new Error(`Unsupported key transport ${algorithmShortName(uri)}`);
+  const cipher = cipherValueBytes(encryptedKey);
+
+  if (transport === 'rsa-1_5') {
+    return { key: rsaPkcs1v15Decrypt(spKey.rsa, cipher), algorithm: uri };
+  }
+
+  const digestMethod = dsChild(method, 'DigestMethod');
+  const hash = digestMethod ? DIGEST_ALGORITHMS[digestMethod.getAttribute('Algorithm')] : 'SHA-1';
+  if (!hash) throw new Error('Unsupported RSA-OAEP digest');
+  const mgf = Array.from(method.children).find(c => c.localName === 'MGF');
+  const mgfHash = mgf ? OAEP_MGF_HASHES[mgf.getAttribute('Algorithm')] : 'SHA-1';
+  if (mgfHash !== hash) throw new Error('RSA-OAEP with differing digest and MGF hashes is not supported');
+  const paramsNode = xencChild(method, 'OAEPparams');
+  const label = paramsNode ? b64ToBytes(paramsNode.textContent) : null;
+
+  const key = await crypto.subtle.importKey('pkcs8', spKey.pkcs8, { name: 'RSA-OAEP', hash }, false, ['decrypt']);
+  try {
+    const params = label && label.length ? { name: 'RSA-OAEP', label } : { name: 'RSA-OAEP' };
+    return { key: new Uint8Array(await crypto.subtle.decrypt(params, key, cipher)), algorithm: uri };
+  } catch (e) {
+    throw new Error('RSA-OAEP decryption failed (wrong key?)');
+  }
+}
+
+// AES-CBC with XML Encryption padding: the last byte is the pad length, other pad bytes are arbitrary.
+// WebCrypto insists on PKCS#7, so an extra block that decrypts to a full PKCS#7 pad is appended.
+async function decryptAesCbc(rawKey, data) {
+  const key = await crypto.subtle.importKey('raw', rawKey, 'AES-CBC', false, ['encrypt', 'decrypt']);
+  const iv = data.subarray(0, 16);
+  const cipher = data.subarray(16);
+  if (!cipher.length || cipher.length % 16 !== 0) throw new Error('AES-CBC ciphertext has invalid length');
+  const lastBlock = cipher.subarray(cipher.length - 16);
+  const padBlock = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CBC', iv: lastBlock }, key, new Uint8Array(16).fill(16)));
+  const plain = new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-CBC', iv }, key, concatBytes(cipher, padBlock.subarray(0, 16))));
+  const padLength = plain[plain.length - 1];
+  if (padLength < 1 || padLength > 16) throw new Error('AES-CBC decryption failed (wrong key?)');
+  return plain.subarray(0, plain.length - padLength);
+}
+
+async function decryptAesGcm(rawKey, data) {
+  const key = await crypto.subtle.importKey('raw', rawKey, 'AES-GCM', false, ['decrypt']);
+  try {
+    return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv: data.subarray(0, 12), tagLength: 128 }, key, data.subarray(12)));
+  } catch (e) {
+    throw new Error('AES-GCM authentication failed (wrong key?)');
+  }
+}
+
+// EncryptedKey may be inline in KeyInfo, referenced via RetrievalMethod, or a sibling element
+function findEncryptedKey(encryptedData, wrapper, doc) {
+  const keyInfo = dsChild(encryptedData, 'KeyInfo');
+  const inline = xencChild(keyInfo, 'EncryptedKey');
+  if (inline) return inline;
+
+  const retrieval = dsChild(keyInfo, 'RetrievalMethod');
+  const uri = retrieval ? retrieval.getAttribute('URI') : null;
+  if (uri && uri.startsWith('#')) {
+    const byId = Array.from(doc.getElementsByTagNameNS(XENC_NS, 'EncryptedKey')).find(k => k.getAttribute('Id') === uri.slice(1));
+    if (byId) return byId;
+  }
+  return xencChild(wrapper, 'EncryptedKey');
+}
+
+async function decryptEncryptedData(encryptedData, wrapper, doc, spKey) {
+  const method = xencChild(encryptedData, 'EncryptionMethod');
+  const uri = method ? method.getAttribute('Algorithm') : null;
+  const cipher = BLOCK_ENCRYPTION_ALGORITHMS[uri];
+  if (!cipher) throw new Error(`Unsupported data encryption ${algorithmShortName(uri)}`);
+
+  const encryptedKey = findEncryptedKey(encryptedData, wrapper, doc);
+  if (!encryptedKey) throw new Error('No EncryptedKey found');
+  const { key, algorithm: keyAlgorithm } = await decryptEncryptedKey(encryptedKey, spKey);
+  if (key.length !== cipher.length) throw new Error(`Decrypted key has ${key.length} bytes, expected ${cipher.length}`);
+
+  const data = cipherValueBytes(encryptedData);
+  const plain = cipher.name === 'AES-GCM' ? await decryptAesGcm(key, data) : await decryptAesCbc(key, data);
+  return { xml: bytesToUtf8(plain), dataAlgorithm: uri, keyAlgorithm };
+}
+
+// Parse decrypted plaintext; it may rely on prefixes declared by ancestors of the wrapper
+function parseDecryptedFragment(plaintext, wrapper) {
+  const parser = new DOMParser();
+  let doc = parser.parseFromString(plaintext, 'application/xml');
+  if (!doc.getElementsByTagName('parsererror').length) return doc.documentElement;
+
+  const decls = [];
+  for (const [prefix, uri] of inScopeNamespaces(wrapper)) {
+    decls.push(prefix ? `xmlns:${prefix}="${escapeC14NAttr(uri)}"` : `xmlns="${escapeC14NAttr(uri)}"`);
+  }
+  doc = parser.parseFromString(`<wrapper ${decls.join(' ')}>${plaintext}</wrapper>`, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) throw new Error('Decrypted content is not well-formed XML');
+  return doc.documentElement.firstElementChild;
+}
+
+// Decrypt every encrypted SAML element; returns null if the message contains none
+async function decryptSamlXml(xmlStr, spKey) {
+  const doc = new DOMParser().parseFromString(xmlStr, 'application/xml');
+  if (doc.getElementsByTagName('parsererror').length) return null;
+
+  const wrappers = Array.from(doc.getElementsByTagName('*')).filter(e => ENCRYPTED_ELEMENTS.includes(e.localName));
+  if (!wrappers.length) return null;
+
+  const result = { xml: null, fragments: [], errors: [] };
+  if (!spKey) {
+    result.errors.push('No SP private key loaded');
+    return result;
+  }
+
+  const pending = [...wrappers];
+  while (pending.length) {
+    const wrapper = pending.shift();
+    try {
+      const encryptedData = xencChild(wrapper, 'EncryptedData');
+      if (!encryptedData) throw new Error(`${wrapper.localName} has no EncryptedData`);
+      const decrypted = await decryptEncryptedData(encryptedData, wrapper, doc, spKey);
+      const fragment = parseDecryptedFragment(decrypted.xml, wrapper);
+      result.fragments.push({
+        element: wrapper.localName,
+        xml: decrypted.xml,
+        dataAlgorithm: decrypted.dataAlgorithm,
+        keyAlgorithm: decrypted.keyAlgorithm
+      });
+      const imported = doc.importNode(fragment, true);
+      wrapper.parentNode.replaceChild(imported, wrapper);
+      // Decrypted assertions commonly carry an EncryptedID of their own
+      pending.push(...Array.from(imported.getElementsByTagName('*')).filter(e => ENCRYPTED_ELEMENTS.includes(e.localName)));
+    } catch (error) {
+      console.warn('[SAMLView] Decryption failed:', error);
+      result.errors.push(`${wrapper.localName}: ${error.message || error}`);
+    }
+  }
+
+  if (result.fragments.length) result.xml = new XMLSerializer().serializeToString(doc);
+  return result;
+}
@@ -0,0 +1,264 @@
+// XML tree viewer: DOM-based rendering with folding, highlighting, copy actions and links to the summary
+
+// Shared by every tree so the choice sticks while browsing messages
+let xmlTreeShowPrefixes = true;
+
+// Element a summary field was read from; mirrors the lookups in parseSaml
+const SUMMARY_SOURCES = {
+  root: (doc, root) => root,
+  id: (doc, root) => root,
+  issueInstant: (doc, root) => root,
+  inResponseTo: (doc, root) => root,
+  destination: (doc, root) => root,
+  acs: (doc, root) => root,
+  protocolBinding: (doc, root) => root,
+  reason: (doc, root) => root,
+  logoutNotOnOrAfter: (doc, root) => root,
+  issuer: (doc) => firstElementByLocalName(doc, 'Issuer'),
+  subject: (doc, root) => firstElementByLocalName(firstElementByLocalName(doc, 'Subject') || root, 'NameID'),
+  nameIDFormat: (doc, root) => firstElementByLocalName(firstElementByLocalName(doc, 'Subject') || root, 'NameID'),
+  allowCreate: (doc) => firstElementByLocalName(doc, 'NameIDPolicy'),
+  notBefore: (doc) => firstElementByLocalName(doc, 'Conditions'),
+  notOnOrAfter: (doc) => firstElementByLocalName(doc, 'Conditions'),
+  audience: (doc) => firstElementByLocalName(doc, 'Audience'),
+  sessionIndex: (doc) => firstElementByLocalName(doc, 'AuthnStatement') || firstElementByLocalName(doc, 'SessionIndex'),
+  artifact: (doc) => firstElementByLocalName(doc, 'Artifact'),
+  newNameID: (doc) => firstElementByLocalName(doc, 'NewID'),
+  terminate: (doc) => firstElementByLocalName(doc, 'Terminate'),
+  statusCode: (doc) => firstElementByLocalName(doc, 'StatusCode'),
+  statusMessage: (doc) => firstElementByLocalName(doc, 'StatusMessage'),
+  requestedAttributes: (doc, root) => Array.from(root.children).find(c => c.localName === 'Attribute') || null
+};
+
+function firstElementByLocalName(scope, localName) {
+  if (!scope) return null;
+  return Array.from(scope.getElementsByTagName('*')).find(e => e.localName === localName) || null;
+}
+
+// Attribute elements in the order parseSaml lists them
+function attributeStatementElements(doc) {
+  return Array.from(doc.getElementsByTagName('*'))
+    .filter(e => e.localName === 'AttributeStatement')
+    .flatMap(stmt => Array.from(stmt.getElementsByTagName('*')).filter(e => e.localName === 'Attribute'));
+}
+
+function summarySourceElement(view, source) {
+  const root = samlRootElement(view.doc);
+  const attribute = /^attribute:(\d+)$/.exec(source);
+  if (attribute) return attributeStatementElements(view.doc)[Number(attribute[1])] || null;
+  return SUMMARY_SOURCES[source] ? SUMMARY_SOURCES[source](view.doc, root) : null;
+}
+
+function renderXmlName(node) {
+  return el('span', { class: 'xml-name' },
+    node.prefix ? el('span', { class: 'xml-prefix' }, `${node.prefix}:`) : null,
+    node.localName
+  );
+}
+
+function renderXmlAttribute(a) {
+  const isNamespace = a.name === 'xmlns' || a.prefix === 'xmlns';
+  return el('span', { class: isNamespace ? 'xml-attr xml-ns' : 'xml-attr' },
+    ' ',
+    el('span', { class: 'xml-attr-name' }, renderXmlName(a)),
+    '=',
+    el('span', { class: 'xml-attr-value' }, `"${a.value}"`)
+  );
+}
+
+function renderXmlOpenTag(node, selfClosing) {
+  return el('span', { class: 'xml-tag' },
+    '<', renderXmlName(node), ...Array.from(node.attributes).map(renderXmlAttribute), selfClosing ? '/>' : '>'
+  );
+}
+
+function renderXmlCloseTag(node) {
+  return el('span', { class: 'xml-tag' }, '</', renderXmlName(node), '>');
+}
+
+function copyToClipboard(value, label) {
+  const messageContainer = document.getElementById('messageContainer');
+  navigator.clipboard.writeText(value).then(
+    () => showSuccess(`Copied ${label}`, messageContainer),
+    (error) => {
+      console.error('[SAMLView] Copy failed:', error);
+      showError('Could not copy to the clipboard', messageContainer);
+    }
+  );
+}
+
+function renderXmlActions(node) {
+  const copyNode = el('button', { class: 'xml-action', type: 'button', title: 'Copy this element' }, 'Copy');
+  copyNode.addEventListener('click', (e) => {
+    e.stopPropagation();
+    copyToClipboard(new XMLSerializer().serializeToString(node), 'element');
+  });
+  const copyPath = el('button', { class: 'xml-action', type: 'button', title: 'Copy the XPath of this element' }, 'XPath');
+  copyPath.addEventListener('click', (e) => {
+    e.stopPropagation();
+    copyToClipboard(nodeXPath(node), 'XPath');
+  });
+  return el('span', { class: 'xml-actions' }, copyNode, copyPath);
+}
+
+// Whitespace-only text between elements is layout, not content
+function xmlContentChildren(node) {
+  return Array.from(node.childNodes).filter(c => !(c.nodeType === Node.TEXT_NODE && !c.nodeValue.trim()));
+}
+
+function renderXmlLeaf(node) {
+  switch (node.nodeType) {
+    case Node.TEXT_NODE:
+      return el('div', { class: 'xml-line' }, el('span', { class: 'xml-text' }, node.nodeValue));
+    case Node.CDATA_SECTION_NODE:
+      return el('div', { class: 'xml-line' }, el('span', { class: 'xml-cdata' }, `<![CDATA[${node.nodeValue}]]>`));
+    case Node.COMMENT_NODE:
+      return el('div', { class: 'xml-line' }, el('span', { class: 'xml-comment' }, `<!--${node.nodeValue}-->`));
+    case Node.PROCESSING_INSTRUCTION_NODE:
+      return el('div', { class: 'xml-line' }, el('span', { class: 'xml-pi' }, `<?${node.target} ${node.data}?>`));
+    default:
+      return null;
+  }
+}
+
+function setXmlFolded(block, folded) {
+  block.classList.toggle('xml-collapsed', folded);
+  const fold = block.firstChild.querySelector('.xml-fold');
+  fold.textContent = folded ? '▸' : '▾';
+  fold.title = folded ? 'Unfold' : 'Fold';
+}
+
+function renderXmlElement(node, lines) {
+  const children = xmlContentChildren(node);
+  const block = el('div', { class: 'xml-node' });
+  const line = el('div', { class: 'xml-line' });
+  lines.set(node, line);
+  block.appendChild(line);
+
+  // Empty elements and elements holding only text stay on one line
+  if (!children.length || (children.length === 1 && children[0].nodeType === Node.TEXT_NODE)) {
+    line.appendChild(el('span', { class: 'xml-fold-spacer' }));
+    if (children.length) {
+      line.append(renderXmlOpenTag(node, false), el('span', { class: 'xml-text' }, children[0].nodeValue), renderXmlCloseTag(node));
+    } else {
+      line.appendChild(renderXmlOpenTag(node, true));
+    }
+    line.appendChild(renderXmlActions(node));
+    return block;
+  }
+
+  const fold = el('button', { class: 'xml-fold', type: 'button', title: 'Fold' }, '▾');
+  fold.addEventListener('click', (e) => {
+    e.stopPropagation();
+    setXmlFolded(block, !block.classList.contains('xml-collapsed'));
+  });
+  line.append(fold, renderXmlOpenTag(node, false), el('span', { class: 'xml-ellipsis' }, '…', renderXmlCloseTag(node)), renderXmlActions(node));
+
+  const body = el('div', { class: 'xml-children' });
+  for (const child of children) {
+    const rendered = child.nodeType === Node.ELEMENT_NODE ? renderXmlElement(child, lines) : renderXmlLeaf(child);
+    if (rendered) body.appendChild(rendered);
+  }
+  block.append(body, el('div', { class: 'xml-line xml-close' }, el('span', { class: 'xml-fold-spacer' }), renderXmlCloseTag(node)));
+  return block;
+}
+
+// { element, doc, lineFor(node), reveal(node) }; falls back to the raw text when the XML does not parse
+function createXmlView(xml, className = '') {
+  const doc = new DOMParser().parseFromString(xml, 'application/xml');
+  const element = el('div', { class: `xml xml-tree ${className}`.trim() });
+  element.classList.toggle('xml-hide-prefixes', !xmlTreeShowPrefixes);
+  const lines = new Map();
+
+  if (doc.getElementsByTagName('parsererror').length) {
+    element.appendChild(el('div', { class: 'xml-text' }, xml));
+    return { element, doc: null, lineFor: () => null, reveal: () => null };
+  }
+
+  const prefixToggle = el('button', { class: 'btn btn-ghost xml-prefix-toggle', type: 'button' }, xmlTreeShowPrefixes ? 'Hide Namespaces' : 'Show Namespaces');
+  prefixToggle.addEventListener('click', () => {
+    xmlTreeShowPrefixes = !xmlTreeShowPrefixes;
+    for (const tree of document.querySelectorAll('.xml-tree')) tree.classList.toggle('xml-hide-prefixes', !xmlTreeShowPrefixes);
+    for (const btn of document.querySelectorAll('.xml-prefix-toggle')) btn.textContent = xmlTreeShowPrefixes ? 'Hide Namespaces' : 'Show Namespaces';
+  });
+  element.appendChild(el('div', { class: 'xml-tree-toolbar' }, prefixToggle));
+
+  for (const child of Array.from(doc.childNodes)) {
+    const rendered = child.nodeType === Node.ELEMENT_NODE ? renderXmlElement(child, lines) : renderXmlLeaf(child);
+    if (rendered) element.appendChild(rendered);
+  }
+
+  // Unfold the ancestors, scroll the line into view and flash it
+  const reveal = (node) => {
+    const line = lines.get(node);
+    if (!line) return null;
+    for (let block = line.parentElement.parentElement; block && block !== element; block = block.parentElement) {
+      if (block.classList.contains('xml-collapsed')) setXmlFolded(block, false);
+    }
+    flashHighlight(line);
+    return line;
+  };
+
+  return { element, doc, lineFor: (node) => lines.get(node) || null, reveal };
+}
+
+// Built on first show: rendering every tree up front is too slow with a full session
+function lazyXmlView(xml, className, onBuild) {
+  const holder = el('div', { class: 'xml-holder', style: 'display:none;' });
+  let view = null;
+  const build = () => {
+    if (!view) {
+      view = createXmlView(xml, className);
+      holder.appendChild(view.element);
+      if (onBuild) onBuild(view);
+    }
+    return view;
+  };
+  const show = (shown) => {
+    if (shown) build();
+    holder.style.display = shown ? '' : 'none';
+  };
+  return { element: holder, build, show, isShown: () => holder.style.display !== 'none' };
+}
+
+function flashHighlight(target) {
+  target.scrollIntoView({ block: 'nearest' });
+  target.classList.remove('xml-highlight');
+  // Restart the animation when the same target is highlighted twice in a row
+  void target.offsetWidth;
+  target.classList.add('xml-highlight');
+}
+
+// Summary values marked with data-source scroll to the element they were read from
+function linkSummaryToXml(summary, getView, showXml) {
+  for (const target of summary.querySelectorAll('[data-source]')) {
+    target.classList.add('summary-linked');
+    target.title = 'Show in XML';
+    target.addEventListener('click', () => {
+      showXml();
+      const view = getView();
+      const node = view.doc ? summarySourceElement(view, target.dataset.source) : null;
+      if (node) view.reveal(node);
+    });
+  }
+}
+
+// And back: tree lines of those elements highlight the summary values read from them
+function linkXmlToSummary(view, summary) {
+  if (!view.doc) return;
+  const targetsByLine = new Map();
+  for (const target of summary.querySelectorAll('[data-source]')) {
+    const line = view.lineFor(summarySourceElement(view, target.dataset.source));
+    if (!line) continue;
+    if (!targetsByLine.has(line)) targetsByLine.set(line, []);
+    targetsByLine.get(line).push(target);
+  }
+  for (const [line, targets] of targetsByLine) {
+    line.classList.add('xml-line-linked');
+    line.title = 'Show in summary';
+    line.addEventListener('click', (e) => {
+      if (e.target.closest('.xml-actions, .xml-fold')) return;
+      targets.forEach(flashHighlight);
+    });
+  }
+}
@@ -0,0 +1,336 @@
+// XPath console: XPath 1.0 over the (decrypted) XML of one or all messages, with CSV export and saved queries
+
+const XPATH_QUERIES_KEY = 'xpathQueries';
+
+// Bound for every query; locations are written with the same prefixes so they can be pasted back
+const XPATH_NAMESPACES = {
+  samlp: 'urn:oasis:names:tc:SAML:2.0:protocol',
+  saml: 'urn:oasis:names:tc:SAML:2.0:assertion',
+  md: 'urn:oasis:names:tc:SAML:2.0:metadata',
+  ds: 'http://www.w3.org/2000/09/xmldsig#',
+  xenc: 'http://www.w3.org/2001/04/xmlenc#',
+  xenc11: 'http://www.w3.org/2009/xmlenc11#',
+  ec: 'http://www.w3.org/2001/10/xml-exc-c14n#',
+  xsi: 'http://www.w3.org/2001/XMLSchema-instance',
+  xs: 'http://www.w3.org/2001/XMLSchema',
+  soap: 'http://schemas.xmlsoap.org/soap/envelope/',
+  samlp1: 'urn:oasis:names:tc:SAML:1.0:protocol',
+  saml1: 'urn:oasis:names:tc:SAML:1.0:assertion'
+};
+
+const XPATH_EXAMPLES = [
+  '//saml:AttributeValue[@xsi:type]',
+  '//samlp:Extensions/*',
+  'count(//ds:Signature)',
+  '//saml:Attribute/@Name'
+];
+
+let xpathExpression = '';
+let xpathScope = 'all'; // 'all' | 'selected'
+let xpathSelectedIds = [];
+let xpathMessages = [];
+let xpathResult = null; // { expression, rows, errors }
+
+function getSavedXPathQueries() {
+  try {
+    return JSON.parse(localStorage.getItem(XPATH_QUERIES_KEY)) || [];
+  } catch (e) {
+    return [];
+  }
+}
+
+// Throws when localStorage is full so the caller can report it
+function setSavedXPathQueries(queries) {
+  if (queries.length) localStorage.setItem(XPATH_QUERIES_KEY, JSON.stringify(queries));
+  else localStorage.removeItem(XPATH_QUERIES_KEY);
+}
+
+function xpathNamespaceResolver(prefix) {
+  return XPATH_NAMESPACES[prefix] || null;
+}
+
+function xpathPrefix(namespaceURI) {
+  return Object.keys(XPATH_NAMESPACES).find(p => XPATH_NAMESPACES[p] === namespaceURI) || null;
+}
+
+function xpathNameTest(node) {
+  if (!node.namespaceURI) return node.localName;
+  const prefix = xpathPrefix(node.namespaceURI);
+  return prefix ? `${prefix}:${node.localName}` : `*[local-name()="${node.localName}"]`;
+}
+
+// Absolute location of a node, using the console's prefixes and positions among matching siblings
+function nodeXPath(node) {
+  if (!node || node.nodeType === Node.DOCUMENT_NODE) return '/';
+  if (node.nodeType === Node.ATTRIBUTE_NODE) {
+    return `${nodeXPath(node.ownerElement)}/@${xpathNameTest(node)}`;
+  }
+  const parent = node.parentNode;
+  let step;
+  let siblings;
+  if (node.nodeType === Node.ELEMENT_NODE) {
+    step = xpathNameTest(node);
+    siblings = Array.from(parent.childNodes).filter(n => n.nodeType === Node.ELEMENT_NODE && n.localName === node.localName && n.namespaceURI === node.namespaceURI);
+  } else if (node.nodeType === Node.TEXT_NODE || node.nodeType === Node.CDATA_SECTION_NODE) {
+    step = 'text()';
+    siblings = Array.from(parent.childNodes).filter(n => n.nodeType === Node.TEXT_NODE || n.nodeType === Node.CDATA_SECTION_NODE);
+  } else if (node.nodeType === Node.COMMENT_NODE) {
+    step = 'comment()';
+    siblings = Array.from(parent.childNodes).filter(n => n.nodeType === Node.COMMENT_NODE);
+  } else {
+    step = 'node()';
+    siblings = Array.from(parent.childNodes);
+  }
+  const position = siblings.length > 1 ? `[${siblings.indexOf(node) + 1}]` : '';
+  const base = parent.nodeType === Node.DOCUMENT_NODE ? '' : nodeXPath(parent);
+  return `${base}/${step}${position}`;
+}
+
+function xpathNodeValue(node) {
+  if (node.nodeType === Node.ELEMENT_NODE) return node.textContent.replace(/\s+/g, ' ').trim();
+  return node.nodeValue;
+}
+
+// Rows of { location, value } for one document; throws on an invalid expression or unknown prefix
+function evaluateXPath(doc, expression) {
+  const result = doc.evaluate(expression, doc, xpathNamespaceResolver, XPathResult.ANY_TYPE, null);
+  switch (result.resultType) {
+    case XPathResult.NUMBER_TYPE:
+      return [{ location: null, value: String(result.numberValue) }];
+    case XPathResult.STRING_TYPE:
+      return [{ location: null, value: result.stringValue }];
+    case XPathResult.BOOLEAN_TYPE:
+      return [{ location: null, value: String(result.booleanValue) }];
+    default: {
+      const rows = [];
+      for (let node = result.iterateNext(); node; node = result.iterateNext()) {
+        rows.push({ location: nodeXPath(node), value: xpathNodeValue(node) });
+      }
+      return rows;
+    }
+  }
+}
+
+// Expression errors are the same for every message, so they are left to the caller
+function runXPath(msgs, expression) {
+  const rows = [];
+  const errors = [];
+  for (const m of msgs) {
+    if (m.kind === 'SAMLArtifact') continue;
+    const doc = new DOMParser().parseFromString(messageXml(m), 'application/xml');
+    if (doc.getElementsByTagName('parsererror').length) {
+      errors.push(`#${m.id}: XML could not be parsed`);
+      continue;
+    }
+    for (const row of evaluateXPath(doc, expression)) rows.push({ message: m, ...row });
+  }
+  return { expression, rows, errors };
+}
+
+function csvField(value) {
+  const s = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function xpathResultCsv(result) {
+  const lines = [['Message', 'Type', 'URL', 'Location', 'Value']];
+  for (const row of result.rows) {
+    lines.push([row.message.id, samlMessageType(row.message).type, row.message.url, row.location, row.value]);
+  }
+  return lines.map(line => line.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+function xpathScopeMessages() {
+  if (xpathScope !== 'selected') return xpathMessages;
+  return xpathMessages.filter(m => xpathSelectedIds.includes(m.id));
+}
+
+function runXPathConsole() {
+  const messageContainer = document.getElementById('messageContainer');
+  const expression = xpathExpression.trim();
+  if (!expression) {
+    showError('Enter an XPath expression', messageContainer);
+    return;
+  }
+  try {
+    xpathResult = runXPath(xpathScopeMessages(), expression);
+  } catch (error) {
+    showError(`Invalid XPath: ${error.message}`, messageContainer);
+    return;
+  }
+  renderXPathResults();
+}
+
+function saveXPathQuery() {
+  const messageContainer = document.getElementById('messageContainer');
+  const expression = xpathExpression.trim();
+  if (!expression) {
+    showError('Enter an XPath expression', messageContainer);
+    return;
+  }
+  const input = el('input', { type: 'text', class: 'search-input', value: expression });
+  const body = el('div', { class: 'dialog-form' },
+    el('p', { class: 'dialog-help' }, 'Saved queries are kept in this browser and listed in the console. A query with the same name is replaced.'),
+    input
+  );
+  const submit = () => {
+    const name = input.value.trim() || expression;
+    const queries = getSavedXPathQueries().filter(q => q.name !== name);
+    queries.push({ name, expression });
+    setSavedXPathQueries(queries);
+    renderSavedXPathQueries();
+  };
+  const dialog = openDialog('Save Query', body, [
+    { label: 'Cancel', class: 'btn-ghost' },
+    { label: 'Save', class: 'btn-primary', onClick: submit }
+  ]);
+  input.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter') return;
+    try {
+      submit();
+      dialog.close();
+    } catch (error) {
+      console.error('[SAMLView] Saving query failed:', error);
+      showError('Could not save the query', messageContainer);
+    }
+  });
+  input.focus();
+  input.select();
+}
+
+function renderSavedXPathQueries() {
+  const box = document.getElementById('xpathSaved');
+  if (!box) return;
+  box.innerHTML = '';
+  const queries = getSavedXPathQueries();
+  if (!queries.length) {
+    box.appendChild(el('span', { class: 'xpath-hint' }, 'No saved queries.'));
+    return;
+  }
+  for (const q of queries) {
+    const load = el('button', { class: 'btn btn-ghost xpath-query', type: 'button', title: q.expression }, q.name);
+    load.addEventListener('click', () => {
+      xpathExpression = q.expression;
+      document.getElementById('xpathExpression').value = q.expression;
+      runXPathConsole();
+    });
+    const remove = el('button', { class: 'btn btn-ghost xpath-query-remove', type: 'button', title: `Remove ${q.name}` }, '✕');
+    remove.addEventListener('click', () => {
+      setSavedXPathQueries(getSavedXPathQueries().filter(s => s.name !== q.name));
+      renderSavedXPathQueries();
+    });
+    box.appendChild(el('span', { class: 'xpath-saved-query' }, load, remove));
+  }
+}
+
+function renderXPathResults() {
+  const box = document.getElementById('xpathResults');
+  if (!box) return;
+  box.innerHTML = '';
+  if (!xpathResult) return;
+
+  const { rows, errors } = xpathResult;
+  const messageCount = new Set(rows.map(r => r.message.id)).size;
+  const exportBtn = el('button', { class: 'btn btn-ghost', type: 'button' }, 'Export CSV');
+  exportBtn.disabled = !rows.length;
+  exportBtn.addEventListener('click', () => {
+    downloadFile(xpathResultCsv(xpathResult), `SAMLView_XPath_${fileTimestamp()}.csv`, 'text/csv');
+  });
+  box.appendChild(el('div', { class: 'xpath-summary' },
+    el('span', {}, `${rows.length} match${rows.length === 1 ? '' : 'es'} in ${messageCount} message${messageCount === 1 ? '' : 's'} for `, el('code', {}, xpathResult.expression)),
+    exportBtn
+  ));
+  for (const error of errors) box.appendChild(el('div', { class: 'xpath-error' }, error));
+  if (!rows.length) return;
+
+  const table = el('table', { class: 'xpath-table' },
+    el('thead', {}, el('tr', {}, el('th', {}, 'Message'), el('th', {}, 'Location'), el('th', {}, 'Value')))
+  );
+  const tbody = el('tbody');
+  for (const row of rows) {
+    const link = el('a', { href: '#', class: 'xpath-message', title: 'Show in the message list' }, diffStepText(row.message));
+    link.addEventListener('click', (e) => {
+      e.preventDefault();
+      setView('list', row.message.id);
+    });
+    tbody.appendChild(el('tr', {},
+      el('td', {}, link),
+      el('td', { class: 'xpath-location' }, row.location || '—'),
+      el('td', { class: 'xpath-value' }, row.value)
+    ));
+  }
+  table.appendChild(tbody);
+  box.appendChild(table);
+}
+
+// Built once per visit so live capture refreshes do not reset the expression being typed
+function renderXPath(msgs) {
+  xpathMessages = msgs;
+  const container = document.getElementById('xpathContainer');
+  if (!container) return;
+  const scopeSelect = document.getElementById('xpathScope');
+  if (scopeSelect) {
+    scopeSelect.options[0].textContent = `All messages (${msgs.length})`;
+    return;
+  }
+
+  container.innerHTML = '';
+  const backBtn = el('button', { class: 'btn btn-ghost', type: 'button' }, '← Back to Messages');
+  backBtn.addEventListener('click', () => setView('list'));
+  container.appendChild(el('div', { class: 'library-header' },
+    el('h2', {}, 'XPath Console'),
+    el('span', { class: 'library-count' }, 'XPath 1.0, evaluated on decrypted XML where a key is loaded'),
+    backBtn
+  ));
+
+  const input = el('textarea', { id: 'xpathExpression', class: 'dialog-textarea xpath-expression', rows: '2', spellcheck: 'false', placeholder: XPATH_EXAMPLES[0] });
+  input.value = xpathExpression;
+  input.addEventListener('input', () => {
+    xpathExpression = input.value;
+  });
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      runXPathConsole();
+    }
+  });
+
+  const scope = el('select', { id: 'xpathScope', class: 'capture-status' },
+    el('option', { value: 'all' }, `All messages (${msgs.length})`),
+    el('option', { value: 'selected' }, `Selected messages (${xpathSelectedIds.length})`)
+  );
+  scope.options[1].disabled = !xpathSelectedIds.length;
+  scope.value = xpathScope === 'selected' && xpathSelectedIds.length ? 'selected' : 'all';
+  scope.addEventListener('change', () => {
+    xpathScope = scope.value;
+  });
+
+  const runBtn = el('button', { class: 'btn btn-primary', type: 'button', title: 'Ctrl+Enter' }, 'Run');
+  runBtn.addEventListener('click', runXPathConsole);
+  const saveBtn = el('button', { class: 'btn btn-ghost', type: 'button' }, 'Save Query');
+  saveBtn.addEventListener('click', saveXPathQuery);
+
+  const prefixes = Object.keys(XPATH_NAMESPACES).map(p => `${p}: ${XPATH_NAMESPACES[p]}`).join('\n');
+  container.appendChild(el('div', { class: 'xpath-console' },
+    input,
+    el('div', { class: 'xpath-controls' },
+      scope,
+      runBtn,
+      saveBtn,
+      el('span', { class: 'xpath-hint', title: prefixes }, `Prefixes: ${Object.keys(XPATH_NAMESPACES).join(', ')}`)
+    ),
+    el('div', { id: 'xpathSaved', class: 'xpath-saved' })
+  ));
+  container.appendChild(el('div', { id: 'xpathResults' }));
+  renderSavedXPathQueries();
+  renderXPathResults();
+}
+
+// Checked messages in the list become the "selected" scope
+function openXPathConsole() {
+  xpathSelectedIds = Array.from(document.querySelectorAll('#list input.sel:checked')).map(cb => Number(cb.id.replace('msg-', '')));
+  xpathScope = xpathSelectedIds.length ? 'selected' : 'all';
+  const container = document.getElementById('xpathContainer');
+  if (container) container.innerHTML = '';
+  return setView('xpath');
+}
@@ -21,6 +21,7 @@ async function populateTabSelector() {
     ]);
 
     tabSelector.innerHTML = '';
+    updateRedirectChainBtn(state.capturing ? state.recordNavigations : getRecordRedirectChain());
 
     if (state.capturing) {
       tabSelector.classList.add('status-capturing');
@@ -75,7 +76,7 @@ async function initialize() {
 
     if (targetTabId && !state.capturing) {
       // Auto-start capture on target tab
-      await browser.runtime.sendMessage({ type: 'startCapture', windowId, tabId: targetTabId });
+      await browser.runtime.sendMessage({ type: 'startCapture', windowId, tabId: targetTabId, recordNavigations: getRecordRedirectChain() });
       console.log('[SAMLView] Auto-started capture on tab:', targetTabId);
     } else if (state.capturing) {
       console.log('[SAMLView] Already capturing on tab:', state.rootTabId);
@@ -113,7 +114,7 @@ document.getElementById('tabSelector').addEventListener('change', async (e) => {
 
         // Start capture on new tab
         const tabId = parseInt(value, 10);
-        await browser.runtime.sendMessage({ type: 'startCapture', windowId, tabId });
+        await browser.runtime.sendMessage({ type: 'startCapture', windowId, tabId, recordNavigations: getRecordRedirectChain() });
         console.log('[SAMLView] Started capture on tab:', tabId);
         showSuccess('✓ Switched to new tab', messageContainer);
       }
@@ -144,6 +145,32 @@ document.getElementById('stopCaptureBtn').addEventListener('click', async () =>
   }
 });
 
+// Redirect chain mode: applies to the running capture and is remembered for later ones
+function updateRedirectChainBtn(enabled) {
+  document.getElementById('redirectChainBtn').textContent = `${enabled ? '✓ ' : ''}Record Redirect Chain`;
+}
+
+document.getElementById('redirectChainBtn').addEventListener('click', async () => {
+  const messageContainer = document.getElementById('messageContainer');
+  const windowId = await getWindowId();
+
+  try {
+    const state = await browser.runtime.sendMessage({ type: 'getState', windowId });
+    const enabled = !(state.capturing ? state.recordNavigations : getRecordRedirectChain());
+    try {
+      setRecordRedirectChain(enabled);
+    } catch (error) {
+      console.warn('[SAMLView] Redirect chain preference could not be saved:', error);
+    }
+    await browser.runtime.sendMessage({ type: 'setRecordNavigations', windowId, enabled });
+    updateRedirectChainBtn(enabled);
+    showSuccess(enabled ? '✓ Recording the redirect chain' : '✓ Recording SAML messages only', messageContainer);
+  } catch (error) {
+    console.error('[SAMLView] Failed to toggle redirect chain mode:', error);
+    showError('Failed to toggle redirect chain mode', messageContainer);
+  }
+});
+
 // Flow view toggle
 document.getElementById('flowViewBtn').addEventListener('click', () => {
   if (typeof window.toggleFlowView === 'function') {